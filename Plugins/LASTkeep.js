@@ -138,7 +138,7 @@ class LASTkeep {
    * Хук перед сохранением данных
    * @private
    */
-  _beforeSet({ key, value, options = {} }) {
+  _beforeSet({ key, value, options = {}, meta = {} }) {
     // Проверка прав доступа
     if (this.options.accessControl.enabled) {
       const role = options.role || this.options.accessControl.defaultRole;
@@ -147,17 +147,19 @@ class LASTkeep {
       }
     }
     
-    // Сжатие данных
+    // Сжатие данных; флаг хранится в meta записи
+    const { compressed, ...restMeta } = meta;
     if (this.options.compression.enabled && 
         this._shouldCompress(value)) {
       return { 
         key, 
         value: this._compress(value), 
-        options: { ...options, compressed: true } 
+        options,
+        meta: { ...restMeta, compressed: true }
       };
     }
     
-    return { key, value, options };
+    return { key, value, options, meta: restMeta };
   }
   
   /**
@@ -5,6 +5,1082 @@
  * GitHub: https://github.com/Leha2cool
  */
 
+const LIBRARY_VERSION = '3.0.0';
+const ENVELOPE_PREFIX = 'ENC2:';
+const ENVELOPE_VERSION = 2;
+const LEGACY_PREFIX = 'ENC:';
+
+// Параметры резервной блокировки на ключах хранилища (мс)
+const LOCK_LEASE = 5000;
+const LOCK_RETRY_DELAY = 50;
+const LOCK_SETTLE_DELAY = 20;
+
+const SCHEMA_KEY = '__stlocal_schema__';
+const INDEX_KEY_PREFIX = '__stlocal_index__:';
+const HISTORY_KEY_PREFIX = '__stlocal_history__:';
+const SNAPSHOT_KEY_PREFIX = '__stlocal_snapshot__:';
+const CHUNK_KEY_PREFIX = '__stlocal_chunk__:';
+// Длина части в символах base64 (~192 КБ двоичных данных)
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+// Значение, разбитое на части, хранится в ключе как CHUNKS:{id,count,length,hash}
+const CHUNKED_PREFIX = 'CHUNKS:';
+const BACKUP_FORMAT = 'stlocal-backup';
+const BACKUP_VERSION = 1;
+const STREAM_FORMAT = 'stlocal-ndjson';
+// Поля meta, которые ведет сама библиотека; pinned и priority задаются опциями
+const SYSTEM_META_FIELDS = [
+  'created', 'updated', 'accessed', 'accessCount', 
+  'expires', 'ttl', 'encryption', 'version', 'chunks'
+];
+const WRITABLE_META_FIELDS = ['pinned', 'priority'];
+// Позиция прерванного потокового импорта: __stlocal_import__:<resume>
+const IMPORT_KEY_PREFIX = '__stlocal_import__:';
+const ACCESS_KEY = '__stlocal_access__';
+
+const EVICTION_POLICIES = ['lru', 'lfu', 'ttl', 'priority'];
+
+// get(key, undefined) возвращает null из-за значения по умолчанию
+const MISSING = Symbol('missing');
+
+// Значения по умолчанию для операций чтения-изменения в транзакциях
+const TRANSACTION_DEFAULTS = { patch: {}, increment: 0, push: [] };
+
+// Ошибка расшифровки: неверный ключ или поврежденные/подмененные данные
+class DecryptionError extends Error {
+  constructor(message = 'Decryption failed: wrong key or tampered data') {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+// Не удалось получить блокировку за отведенное время
+class LockTimeoutError extends Error {
+  constructor(name) {
+    super(`Lock "${name}" was not acquired in time`);
+    this.name = 'LockTimeoutError';
+  }
+}
+
+// Данные записаны более новой версией схемы приложения
+class SchemaVersionError extends Error {
+  constructor(storedVersion, supportedVersion) {
+    super(`Stored schema version ${storedVersion} is newer than supported ${supportedVersion}`);
+    this.name = 'SchemaVersionError';
+    this.storedVersion = storedVersion;
+    this.supportedVersion = supportedVersion;
+  }
+}
+
+// Значение не соответствует схеме; errors содержит пути и причины
+class ValidationError extends Error {
+  constructor(key, errors) {
+    super(`Validation failed for "${key}": ` + 
+      errors.map(error => `${error.path || '(root)'} ${error.message}`).join(', '));
+    this.name = 'ValidationError';
+    this.key = key;
+    this.errors = errors;
+  }
+}
+
+// Части двоичных данных отсутствуют или не совпадают с манифестом
+class IntegrityError extends Error {
+  constructor(key, reason) {
+    super(`Integrity check failed for "${key}": ${reason}`);
+    this.name = 'IntegrityError';
+    this.key = key;
+  }
+}
+
+// Операция JSON Patch не применима; index - номер операции в списке
+class PatchError extends Error {
+  constructor(message, index = null, operation = null) {
+    super(index === null ? message : `Patch operation #${index} failed: ${message}`);
+    this.name = 'PatchError';
+    this.index = index;
+    this.operation = operation;
+  }
+}
+
+// =====================
+// Валидация по схеме (подмножество JSON Schema)
+// =====================
+//
+// Поддерживаются: type, enum, required, properties, additionalProperties,
+// items, minimum/maximum, minLength/maxLength, minItems/maxItems, pattern.
+// Возвращает значение (возможно, с приведенными типами) и список ошибок.
+
+const SCHEMA_TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+function coerceSchemaValue(types, value) {
+  for (const type of types) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      if (SCHEMA_TYPE_CHECKS[type](number)) return number;
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return String(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+  }
+  return undefined;
+}
+
+function joinSchemaPath(path, segment) {
+  return path ? `${path}.${segment}` : String(segment);
+}
+
+function validateSchema(schema, value, options = {}, path = '', errors = []) {
+  const fail = (keyword, message, errorPath = path) => {
+    errors.push({ path: errorPath, keyword, message });
+  };
+  
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    
+    if (!types.some(type => SCHEMA_TYPE_CHECKS[type]?.(value))) {
+      const coerced = options.coerce ? coerceSchemaValue(types, value) : undefined;
+      if (coerced === undefined) {
+        fail('type', `must be ${types.join(' | ')}`);
+        return { value, errors };
+      }
+      value = coerced;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => 
+        validateSchema(schema.items, item, options, joinSchemaPath(path, index), errors).value
+      );
+    }
+  }
+  
+  if (SCHEMA_TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const result = {};
+    
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        fail('required', 'is required', joinSchemaPath(path, name));
+      }
+    });
+    
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = joinSchemaPath(path, name);
+      
+      if (properties[name]) {
+        result[name] = validateSchema(
+          properties[name], propertyValue, options, propertyPath, errors
+        ).value;
+      } else if (options.stripUnknown && schema.properties) {
+        // Неизвестные поля из старых версий приложения отбрасываются.
+        // Без properties неизвестны все поля, поэтому ничего не отбрасывается
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', 'is not allowed', propertyPath);
+      } else {
+        result[name] = propertyValue;
+      }
+    });
+    
+    value = result;
+  }
+  
+  return { value, errors };
+}
+
+// =====================
+// Пути к вложенным значениям
+// =====================
+
+// 'user.tags[0].name' -> ['user', 'tags', '0', 'name']
+function parsePath(path) {
+  if (Array.isArray(path)) return path.map(String);
+  return String(path)
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .filter(segment => segment !== '');
+}
+
+function getByPath(object, path) {
+  return parsePath(path).reduce(
+    (current, segment) => (current === null || current === undefined ? undefined : current[segment]),
+    object
+  );
+}
+
+// Только литералы объектов: Date, Map и экземпляры классов не сливаются по полям
+const isPlainObject = value => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const isContainer = value => value !== null && typeof value === 'object';
+
+const copyContainer = value => (Array.isArray(value) ? [...value] : { ...value });
+
+// Возвращает копию object с value по пути; недостающие уровни создаются
+// массивами для числовых сегментов и объектами для остальных.
+// Примитив на пути не заменяется молча
+function setByPath(object, path, value) {
+  const [segment, ...rest] = parsePath(path);
+  if (segment === undefined) return value;
+  
+  if (object !== undefined && object !== null && !isContainer(object)) {
+    throw new TypeError(`Cannot set "${segment}" on a ${typeof object} value`);
+  }
+  
+  const container = isContainer(object) 
+    ? copyContainer(object) 
+    : (/^\d+$/.test(segment) ? [] : {});
+  container[segment] = setByPath(container[segment], rest, value);
+  return container;
+}
+
+// Возвращает копию object без значения по пути (object, если пути нет)
+function unsetByPath(object, path) {
+  const [segment, ...rest] = parsePath(path);
+  if (!isContainer(object) || !(segment in object)) return object;
+  
+  const container = copyContainer(object);
+  if (rest.length) {
+    container[segment] = unsetByPath(object[segment], rest);
+  } else if (Array.isArray(container)) {
+    container.splice(Number(segment), 1);
+  } else {
+    delete container[segment];
+  }
+  return container;
+}
+
+// Стратегии слияния массивов в patch(): replace | concat | merge (по idKey)
+function deepMerge(target, source, options = {}, path = '') {
+  if (Array.isArray(source)) {
+    const strategy = typeof options.arrays === 'function' 
+      ? options.arrays(target, source, path) 
+      : options.arrays;
+    
+    if (!Array.isArray(target) || !strategy || strategy === 'replace') return source;
+    if (Array.isArray(strategy)) return strategy;
+    if (strategy === 'concat') return [...target, ...source];
+    if (strategy === 'merge') return mergeById(target, source, options, path);
+    throw new Error(`Unknown array merge strategy "${strategy}"`);
+  }
+  
+  if (!isPlainObject(source) || !isPlainObject(target)) return source;
+  
+  const result = { ...target };
+  Object.entries(source).forEach(([name, value]) => {
+    if (value === undefined) return;
+    result[name] = deepMerge(target[name], value, options, path ? `${path}.${name}` : name);
+  });
+  return result;
+}
+
+function mergeById(target, source, options, path) {
+  const idKey = options.idKey || 'id';
+  const result = [...target];
+  
+  source.forEach(item => {
+    const index = isPlainObject(item) && item[idKey] !== undefined
+      ? result.findIndex(existing => isPlainObject(existing) && existing[idKey] === item[idKey])
+      : -1;
+    
+    if (index === -1) {
+      result.push(item);
+    } else {
+      result[index] = deepMerge(result[index], item, options, `${path}.${index}`);
+    }
+  });
+  return result;
+}
+
+// Пути, значения по которым различаются; '' - изменилось значение целиком.
+// seen - уже сравниваемые пары, чтобы циклические ссылки не зациклили обход
+function changedPaths(before, after, path = '', seen = new Map()) {
+  if ((isPlainObject(before) && isPlainObject(after)) || (Array.isArray(before) && Array.isArray(after))) {
+    if (markPair(seen, before, after)) return [];
+    
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...names].flatMap(name => 
+      changedPaths(before[name], after[name], path ? `${path}.${name}` : name, seen)
+    );
+  }
+  return deepEqual(before, after) ? [] : [path];
+}
+
+// Отмечает пару (a, b); true, если она уже встречалась
+function markPair(seen, a, b) {
+  const pairs = seen.get(a) || new Set();
+  if (pairs.has(b)) return true;
+  
+  seen.set(a, pairs.add(b));
+  return false;
+}
+
+// =====================
+// Типы значений
+// =====================
+//
+// Значения, которых нет в JSON, записываются обертками { __type, value } на
+// любой глубине. value - результат encode(), он тоже кодируется рекурсивно,
+// поэтому Map с датами внутри восстанавливается целиком.
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+// Быстрый 53-битный хеш (cyrb53): синхронная проверка целостности частей
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+// Пользовательские поля meta: все, кроме служебных
+function pickCustomMeta(meta = {}) {
+  return Object.fromEntries(Object.entries(meta || {}).filter(([name]) => 
+    !SYSTEM_META_FIELDS.includes(name) && !WRITABLE_META_FIELDS.includes(name)));
+}
+
+async function toBytes(data) {
+  if (typeof Blob === 'function' && data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new TypeError('Binary data must be a Blob, ArrayBuffer or typed array');
+}
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+].filter(name => typeof globalThis[name] === 'function');
+
+const ERROR_TYPES = [
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError'
+];
+
+const BUILTIN_TYPES = [
+  ['Date', {
+    test: value => value instanceof Date,
+    encode: date => (Number.isNaN(date.getTime()) ? null : date.toISOString()),
+    decode: value => new Date(value === null ? NaN : value)
+  }],
+  ['Map', {
+    test: value => value instanceof Map,
+    encode: map => [...map],
+    decode: entries => new Map(entries)
+  }],
+  ['Set', {
+    test: value => value instanceof Set,
+    encode: set => [...set],
+    decode: items => new Set(items)
+  }],
+  ['RegExp', {
+    test: value => value instanceof RegExp,
+    encode: regexp => ({ pattern: regexp.source, flags: regexp.flags }),
+    decode: value => new RegExp(value.pattern, value.flags)
+  }],
+  ['BigInt', {
+    test: value => typeof value === 'bigint',
+    encode: value => value.toString(),
+    decode: value => BigInt(value)
+  }],
+  ['TypedArray', {
+    test: value => ArrayBuffer.isView(value) && TYPED_ARRAYS.includes(value.constructor.name),
+    encode: view => ({
+      type: view.constructor.name,
+      data: bytesToBase64(new Uint8Array(view.buffer, view.byteOffset, view.byteLength))
+    }),
+    decode: value => new globalThis[value.type](base64ToBytes(value.data).buffer)
+  }],
+  ['ArrayBuffer', {
+    test: value => value instanceof ArrayBuffer,
+    encode: buffer => bytesToBase64(new Uint8Array(buffer)),
+    decode: value => base64ToBytes(value).buffer
+  }],
+  ['URL', {
+    test: value => typeof URL === 'function' && value instanceof URL,
+    encode: url => url.href,
+    decode: href => new URL(href)
+  }],
+  ['Error', {
+    test: value => value instanceof Error,
+    encode: error => ({ name: error.name, message: error.message, stack: error.stack }),
+    decode: value => {
+      const ErrorType = ERROR_TYPES.includes(value.name) ? globalThis[value.name] : Error;
+      const error = new ErrorType(value.message);
+      error.name = value.name;
+      if (value.stack) error.stack = value.stack;
+      return error;
+    }
+  }]
+];
+
+const BUILTIN_TYPE_MAP = new Map(BUILTIN_TYPES);
+
+// Служебные обертки: Object экранирует литерал вида { __type, value }, Ref - ссылка
+const RESERVED_TYPE_NAMES = ['Object', 'Ref'];
+
+const isTypeWrapper = value => 
+  isPlainObject(value) && 
+  typeof value.__type === 'string' && 
+  'value' in value && 
+  Object.keys(value).length === 2;
+
+// types - список [name, { test, encode, decode }] в порядке проверки.
+// circular: повторно встреченный объект записывается ссылкой (JSON pointer).
+// Внутри значений типов (opaque) ссылки не поддерживаются: их содержимое
+// восстанавливает decode(), а не обход объектов
+function encodeTypes(value, types = BUILTIN_TYPES, options = {}, state = null) {
+  const context = state || { path: [], ancestors: new Map() };
+  
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'undefined' || typeof value === 'function' || typeof value === 'symbol') {
+    return undefined;
+  }
+  
+  const type = types.find(([, definition]) => definition.test(value));
+  if (type) {
+    const payload = encodeTypes(type[1].encode(value), types, options, { ...context, opaque: true });
+    return { __type: type[0], value: payload };
+  }
+  
+  if (typeof value.toJSON === 'function') {
+    return encodeTypes(value.toJSON(), types, options, context);
+  }
+  
+  if (context.ancestors.has(value)) {
+    if (!options.circular) {
+      throw new TypeError('Circular reference detected; enable the circularRefs option to store it');
+    }
+    const target = context.ancestors.get(value);
+    if (context.opaque || target === null) {
+      throw new TypeError('References inside Map, Set and custom types are not supported');
+    }
+    return { __type: 'Ref', value: toPointer(target) };
+  }
+  
+  context.ancestors.set(value, context.opaque ? null : [...context.path]);
+  
+  const encodeChild = (child, name) => {
+    context.path.push(name);
+    const encoded = encodeTypes(child, types, options, context);
+    context.path.pop();
+    return encoded;
+  };
+  
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map((item, index) => {
+      const encoded = encodeChild(item, index);
+      return encoded === undefined ? null : encoded;
+    });
+  } else {
+    result = {};
+    Object.keys(value).forEach(name => {
+      const encoded = encodeChild(value[name], name);
+      if (encoded !== undefined) result[name] = encoded;
+    });
+    if (isTypeWrapper(result)) result = { __type: 'Object', value: result };
+  }
+  
+  // Без circular объект, встреченный в соседних ветках, - не цикл, а общая ссылка:
+  // он записывается копией, как в JSON
+  if (!options.circular || context.opaque) context.ancestors.delete(value);
+  return result;
+}
+
+function decodeTypes(value, typeMap = BUILTIN_TYPE_MAP, state = null) {
+  const context = state || { root: undefined, refs: [] };
+  
+  if (!isContainer(value)) return value;
+  
+  if (Array.isArray(value)) {
+    const result = [];
+    if (context.root === undefined) context.root = result;
+    value.forEach(item => result.push(decodeTypes(item, typeMap, context)));
+    return result;
+  }
+  
+  if (isTypeWrapper(value)) {
+    if (value.__type === 'Ref') {
+      const ref = { pointer: value.value, resolved: null };
+      context.refs.push(ref);
+      return ref;
+    }
+    if (value.__type === 'Object') {
+      return decodeObject(value.value, typeMap, context);
+    }
+    
+    const type = typeMap.get(value.__type);
+    if (type) return type.decode(decodeTypes(value.value, typeMap, context));
+  }
+  
+  return decodeObject(value, typeMap, context);
+}
+
+function decodeObject(value, typeMap, context) {
+  const result = {};
+  if (context.root === undefined) context.root = result;
+  Object.keys(value).forEach(name => {
+    result[name] = decodeTypes(value[name], typeMap, context);
+  });
+  return result;
+}
+
+// Ссылки заменяются после декодирования, когда все цели уже созданы
+function resolveRefs(value, refs, root) {
+  if (refs.length === 0) return value;
+  
+  const visited = new Set();
+  const resolve = current => {
+    if (!isContainer(current) || visited.has(current)) return current;
+    visited.add(current);
+    
+    Object.keys(current).forEach(name => {
+      const child = current[name];
+      if (refs.includes(child)) {
+        current[name] = pointerGet(root, parsePointer(child.pointer));
+      } else {
+        resolve(child);
+      }
+    });
+    return current;
+  };
+  
+  return resolve(value);
+}
+
+// =====================
+// JSON Patch (RFC 6902) и JSON Merge Patch (RFC 7386)
+// =====================
+
+// Циклические ссылки переносятся в копию
+function cloneDeep(value, copies = new Map()) {
+  if (!Array.isArray(value) && !isPlainObject(value)) return value;
+  if (copies.has(value)) return copies.get(value);
+  
+  const copy = Array.isArray(value) ? [] : {};
+  copies.set(value, copy);
+  Object.keys(value).forEach(name => {
+    copy[name] = cloneDeep(value[name], copies);
+  });
+  return copy;
+}
+
+// Пара, которая уже сравнивается выше по стеку, считается равной:
+// различие, если оно есть, найдется в другой ветке
+function deepEqual(a, b, seen = new Map()) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  
+  // Date, Map и другие типы сравниваются по закодированному виду
+  if (!Array.isArray(a) && (!isPlainObject(a) || !isPlainObject(b))) {
+    return JSON.stringify(encodeTypes(a)) === JSON.stringify(encodeTypes(b));
+  }
+  if (markPair(seen, a, b)) return true;
+  
+  const names = Object.keys(a);
+  return names.length === Object.keys(b).length && 
+    names.every(name => name in b && deepEqual(a[name], b[name], seen));
+}
+
+// '/a/b~1c' -> ['a', 'b/c'] (RFC 6901)
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new PatchError(`Invalid JSON pointer "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function toPointer(segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+function pointerIndex(array, segment, allowEnd) {
+  if (allowEnd && segment === '-') return array.length;
+  
+  const index = /^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : -1;
+  if (index < 0 || index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatchError(`Array index "${segment}" is out of range`);
+  }
+  return index;
+}
+
+function pointerGet(document, segments) {
+  return segments.reduce((current, segment) => {
+    const exists = Array.isArray(current)
+      ? pointerIndex(current, segment, false) !== -1
+      : isContainer(current) && Object.prototype.hasOwnProperty.call(current, segment);
+    if (!exists) throw new PatchError(`Path "${toPointer(segments)}" does not exist`);
+    return current[segment];
+  }, document);
+}
+
+// Операции изменяют document на месте (это уже копия) и возвращают новый корень
+function pointerAdd(document, segments, value) {
+  if (segments.length === 0) return value;
+  
+  const parent = pointerGet(document, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  
+  if (Array.isArray(parent)) {
+    parent.splice(pointerIndex(parent, last, true), 0, value);
+  } else if (isContainer(parent)) {
+    parent[last] = value;
+  } else {
+    throw new PatchError(`Cannot add to "${toPointer(segments.slice(0, -1))}"`);
+  }
+  return document;
+}
+
+function pointerRemove(document, segments) {
+  pointerGet(document, segments);
+  if (segments.length === 0) return undefined;
+  
+  const parent = pointerGet(document, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  
+  if (Array.isArray(parent)) {
+    parent.splice(pointerIndex(parent, last, false), 1);
+  } else {
+    delete parent[last];
+  }
+  return document;
+}
+
+function applyPatchOperation(document, operation) {
+  const path = parsePointer(operation.path);
+  
+  switch (operation.op) {
+    case 'add':
+      return pointerAdd(document, path, cloneDeep(operation.value));
+    case 'remove':
+      return pointerRemove(document, path);
+    case 'replace':
+      return pointerAdd(pointerRemove(document, path), path, cloneDeep(operation.value));
+    case 'move': {
+      const from = parsePointer(operation.from);
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new PatchError('Cannot move a value into its own child');
+      }
+      const value = pointerGet(document, from);
+      return pointerAdd(pointerRemove(document, from), path, value);
+    }
+    case 'copy':
+      return pointerAdd(document, path, cloneDeep(pointerGet(document, parsePointer(operation.from))));
+    case 'test':
+      if (!deepEqual(pointerGet(document, path), operation.value)) {
+        throw new PatchError(`Test failed at "${operation.path}"`);
+      }
+      return document;
+    default:
+      throw new PatchError(`Unknown operation "${operation.op}"`);
+  }
+}
+
+// Применяет операции к копии документа; при первой ошибке бросает PatchError
+function applyJsonPatch(document, operations) {
+  return operations.reduce((current, operation, index) => {
+    try {
+      return applyPatchOperation(current, operation);
+    } catch (error) {
+      throw new PatchError(error.message, index, operation);
+    }
+  }, cloneDeep(document));
+}
+
+// null удаляет поле, объекты сливаются рекурсивно, остальное заменяется
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return cloneDeep(patch);
+  
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([name, value]) => {
+    if (value === null) {
+      delete result[name];
+    } else {
+      result[name] = applyMergePatch(result[name], value);
+    }
+  });
+  return result;
+}
+
+// Операции RFC 6902, превращающие before в after
+function diffJson(before, after, path = [], seen = new Map()) {
+  if (deepEqual(before, after)) return [];
+  if (before === undefined) return [{ op: 'add', path: toPointer(path), value: cloneDeep(after) }];
+  if (after === undefined) return [{ op: 'remove', path: toPointer(path) }];
+  
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const common = Math.min(before.length, after.length);
+    const operations = [];
+    
+    if (markPair(seen, before, after)) return [];
+    
+    for (let i = 0; i < common; i++) {
+      operations.push(...diffJson(before[i], after[i], [...path, i], seen));
+    }
+    for (let i = common; i < after.length; i++) {
+      operations.push({ op: 'add', path: toPointer([...path, i]), value: cloneDeep(after[i]) });
+    }
+    // Удаляем с конца, чтобы индексы не сдвигались
+    for (let i = before.length - 1; i >= common; i--) {
+      operations.push({ op: 'remove', path: toPointer([...path, i]) });
+    }
+    return operations;
+  }
+  
+  if (isPlainObject(before) && isPlainObject(after)) {
+    if (markPair(seen, before, after)) return [];
+    
+    return [
+      ...Object.keys(before)
+        .filter(name => !(name in after))
+        .map(name => ({ op: 'remove', path: toPointer([...path, name]) })),
+      ...Object.keys(after).flatMap(name => diffJson(before[name], after[name], [...path, name], seen))
+    ];
+  }
+  
+  return [{ op: 'replace', path: toPointer(path), value: cloneDeep(after) }];
+}
+
+// =====================
+// Запросы
+// =====================
+
+const isPresent = value => value !== null && value !== undefined;
+
+// Сравнения не срабатывают на отсутствующих значениях (например, expires: null)
+const QUERY_OPERATORS = {
+  '=': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected,
+  '>': (actual, expected) => isPresent(actual) && actual > expected,
+  '>=': (actual, expected) => isPresent(actual) && actual >= expected,
+  '<': (actual, expected) => isPresent(actual) && actual < expected,
+  '<=': (actual, expected) => isPresent(actual) && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  contains: (actual, expected) => 
+    (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  startsWith: (actual, expected) => typeof actual === 'string' && actual.startsWith(expected),
+  exists: (actual, expected) => isPresent(actual) === (expected !== false)
+};
+
+// Даты сравниваются как метки времени, как и поля meta
+function normalizeQueryValue(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+class STlocalQuery {
+  constructor(storage) {
+    this.storage = storage;
+    this._keyFilters = [];
+    this._predicates = [];
+    this._sorters = [];
+    this._offset = 0;
+    this._limit = Infinity;
+    this._includeExpired = false;
+  }
+  
+  prefix(prefix) {
+    this._keyFilters.push(key => key.startsWith(prefix));
+    return this;
+  }
+  
+  key(pattern) {
+    this._keyFilters.push(pattern instanceof RegExp
+      ? key => pattern.test(key)
+      : key => this.storage._matchKeyPattern(pattern, key));
+    return this;
+  }
+  
+  where(pathOrFn, operator = '=', expected) {
+    this._predicates.push(this._createPredicate('value', pathOrFn, operator, expected));
+    return this;
+  }
+  
+  whereMeta(fieldOrFn, operator = '=', expected) {
+    this._predicates.push(this._createPredicate('meta', fieldOrFn, operator, expected));
+    return this;
+  }
+  
+  sortBy(path, direction = 'asc') {
+    this._sorters.push({ read: entry => getByPath(entry.value, path), direction });
+    return this;
+  }
+  
+  sortByMeta(field, direction = 'asc') {
+    this._sorters.push({ read: entry => entry.meta[field], direction });
+    return this;
+  }
+  
+  sortByKey(direction = 'asc') {
+    this._sorters.push({ read: entry => entry.key, direction });
+    return this;
+  }
+  
+  offset(count) {
+    this._offset = count;
+    return this;
+  }
+  
+  limit(count) {
+    this._limit = count;
+    return this;
+  }
+  
+  includeExpired(include = true) {
+    this._includeExpired = include;
+    return this;
+  }
+  
+  // Результат: [{ key, value, meta }]
+  run() {
+    return this._paginate(this._collect());
+  }
+  
+  async runAsync() {
+    return this._paginate(await this._collectAsync());
+  }
+  
+  keys() {
+    return this.run().map(entry => entry.key);
+  }
+  
+  values() {
+    return this.run().map(entry => entry.value);
+  }
+  
+  first() {
+    return this.limit(1).run()[0] || null;
+  }
+  
+  // Количество совпадений без учета limit/offset
+  count() {
+    return this._collect().length;
+  }
+  
+  async countAsync() {
+    return (await this._collectAsync()).length;
+  }
+  
+  _createPredicate(source, pathOrFn, operator, expected) {
+    if (typeof pathOrFn === 'function') {
+      return entry => pathOrFn(entry[source], entry);
+    }
+    
+    const compare = QUERY_OPERATORS[operator];
+    if (!compare) {
+      throw new Error(`Unknown query operator "${operator}"`);
+    }
+    
+    return entry => compare(
+      normalizeQueryValue(getByPath(entry[source], pathOrFn)),
+      Array.isArray(expected) ? expected.map(normalizeQueryValue) : normalizeQueryValue(expected)
+    );
+  }
+  
+  // Фильтры по ключу применяются до чтения значений
+  _candidateKeys(keys) {
+    return keys.filter(key => this._keyFilters.every(filter => filter(key)));
+  }
+  
+  // Просроченные записи пропускаются, но не удаляются во время запроса
+  _collect() {
+    const access = this.storage._readAccessLog();
+    return this._filter(this._candidateKeys(this.storage.keys()).map(key => 
+      this._readEntry(key, this.storage._getEntry(key, { skipExpiration: true }), access)
+    ));
+  }
+  
+  async _collectAsync() {
+    const entries = [];
+    for (const key of this._candidateKeys(await this.storage.keysAsync())) {
+      entries.push(this._readEntry(
+        key, 
+        await this.storage._getEntryAsync(key, { skipExpiration: true })
+      ));
+    }
+    return this._filter(entries);
+  }
+  
+  _readEntry(key, entry, access = {}) {
+    return entry ? { key, value: entry.value, meta: this.storage._withAccess(key, entry.meta, access) } : null;
+  }
+  
+  _filter(entries) {
+    const now = Date.now();
+    
+    return entries.filter(entry => entry &&
+      (this._includeExpired || !entry.meta.expires || entry.meta.expires > now) &&
+      this._predicates.every(predicate => predicate(entry)));
+  }
+  
+  _paginate(entries) {
+    if (this._sorters.length) {
+      entries.sort((a, b) => {
+        for (const { read, direction } of this._sorters) {
+          const left = normalizeQueryValue(read(a));
+          const right = normalizeQueryValue(read(b));
+          if (left === right) continue;
+          
+          // Отсутствующие значения всегда в конце
+          if (left === undefined || left === null) return 1;
+          if (right === undefined || right === null) return -1;
+          
+          const order = left < right ? -1 : 1;
+          return direction === 'desc' ? -order : order;
+        }
+        return 0;
+      });
+    }
+    
+    return entries.slice(this._offset, this._offset + this._limit);
+  }
+}
+
+// =====================
+// Адаптеры хранилища
+// =====================
+//
+// Любой объект с интерфейсом Web Storage может служить бэкендом STlocal:
+//   getItem(key)        -> string | null
+//   setItem(key, value) -> void
+//   removeItem(key)     -> void
+//   key(index)          -> string | null
+//   length              -> number
+//   clear()             -> void (необязательно)
+// Флаг `async: true` означает, что методы адаптера возвращают Promise.
+// Необязательное поле `quota` задает лимит хранилища в байтах.
+
+class MemoryStorageBackend {
+  constructor(initial = {}) {
+    this._data = new Map(Object.entries(initial));
+  }
+  
+  get length() {
+    return this._data.size;
+  }
+  
+  key(index) {
+    const keys = [...this._data.keys()];
+    return index < keys.length ? keys[index] : null;
+  }
+  
+  getItem(key) {
+    return this._data.has(key) ? this._data.get(key) : null;
+  }
+  
+  setItem(key, value) {
+    this._data.set(String(key), String(value));
+  }
+  
+  removeItem(key) {
+    this._data.delete(key);
+  }
+  
+  clear() {
+    this._data.clear();
+  }
+}
+
+// Файловый адаптер для Node.js: данные хранятся в JSON-файле и
+// перезаписываются атомарно (через временный файл) при каждом изменении
+class FileStorageBackend extends MemoryStorageBackend {
+  constructor(filePath) {
+    super();
+    this.fs = require('fs');
+    this.filePath = filePath;
+    
+    if (this.fs.existsSync(filePath)) {
+      const content = this.fs.readFileSync(filePath, 'utf8');
+      this._data = new Map(Object.entries(content ? JSON.parse(content) : {}));
+    }
+  }
+  
+  setItem(key, value) {
+    super.setItem(key, value);
+    this._flush();
+  }
+  
+  removeItem(key) {
+    super.removeItem(key);
+    this._flush();
+  }
+  
+  clear() {
+    super.clear();
+    this._flush();
+  }
+  
+  _flush() {
+    const tmpPath = `${this.filePath}.tmp`;
+    this.fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this._data)));
+    this.fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
 class STlocal {
   constructor(namespace = '', options = {}) {
     this.namespace = namespace;
@@ -13,603 +1089,3765 @@ class STlocal {
     this.encryptionKey = options.encryptionKey || null;
     this.autoCleanup = options.autoCleanup !== false;
     this.crossTabSync = options.crossTabSync !== false;
-    this.storageType = options.storageType || 'local';
+    this.storageType = options.backend ? 'custom' : (options.storageType || 'local');
+    this.backend = options.backend || null;
     this.serializer = options.serializer || this._defaultSerializer;
     this.deserializer = options.deserializer || this._defaultDeserializer;
+    this.types = new Map(
+      options.types instanceof Map ? options.types : Object.entries(options.types || {})
+    );
+    this.circularRefs = !!options.circularRefs;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.chunkThreshold = options.chunkThreshold || null;
     this.validator = options.validator || null;
     this.cryptoEngine = options.cryptoEngine || 'simple';
+    this.kdfIterations = options.kdfIterations || 100000;
+    this.schemaVersion = options.version || null;
+    this.migrations = options.migrations || {};
+    this.schemas = { ...(options.schemas || {}) };
+    this.schemaOptions = {
+      coerce: !!options.coerceTypes,
+      stripUnknown: !!options.stripUnknown
+    };
+    
+    this.eventListeners = {};
+    this.plugins = [];
+    this.storageAvailable = false;
+    this.cleanupInterval = null;
+    this.watchers = {};
+    this._derivedKeys = new Map();
+    this._instanceId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    this._lockCounter = 0;
+    this._listenerCounter = 0;
+    this._writeQueues = new Map();
+    this.indexes = {};
+    this.maxSize = options.maxSize || null;
+    this.maxKeys = options.maxKeys || null;
+    this.evictionPolicy = EVICTION_POLICIES.includes(options.evictionPolicy) 
+      ? options.evictionPolicy 
+      : null;
+    this.pinned = options.pinned || [];
+    this.trackAccess = !!options.trackAccess;
+    this.deepPaths = !!options.deepPaths;
+    this.patchEvents = !!options.patchEvents;
+    
+    this._init();
+  }
+
+  // =====================
+  // 1. Основные методы
+  // =====================
+  
+  set(key, value, options = {}) {
+    if (!this.storageAvailable) return false;
+    
+    const target = this._pathTarget(key);
+    if (target) {
+      const next = this._setPathValue(key, this._getOrUndefined(target.key), target.path, value);
+      return next !== MISSING && this.set(target.key, next, options);
+    }
+    
+    const prepared = this._prepareSet(key, value, options, this._readItem(key));
+    if (!prepared) return false;
+    
+    if (prepared.shouldEncrypt) {
+      this._assertSyncCrypto('set');
+    }
+    
+    try {
+      const serialized = this.serializer(prepared.storageItem);
+      const storageValue = prepared.shouldEncrypt 
+        ? this._encrypt(serialized) 
+        : serialized;
+      
+      this._writeValue(key, storageValue, value => this._writeWithEviction(key, value, storageValue));
+    } catch (error) {
+      this._handleError(error, 'set', key);
+      return false;
+    }
+    
+    this._completeSet(key, prepared, options);
+    return true;
+  }
+  
+  get(key, defaultValue = null, options = {}) {
+    const target = this._pathTarget(key);
+    if (target) {
+      const value = getByPath(this.get(target.key, undefined, options), target.path);
+      return value === undefined ? defaultValue : value;
+    }
+    
+    const entry = this._getEntry(key, options);
+    if (!entry) return defaultValue;
+    
+    this._recordAccess(key);
+    return entry.value;
+  }
+  
+  remove(key, options = {}) {
+    if (!this.storageAvailable) return false;
+    if (this._pathTarget(key)) return this.unset(key, options);
+    
+    const fullKey = this._prefixKey(key);
+    const oldValue = this._peekValue(key);
+    const oldMeta = this._readItem(key)?.meta;
+    const oldManifest = this._readManifest(this._getStorage().getItem(fullKey));
+    
+    try {
+      this._getStorage().removeItem(fullKey);
+      this._discardChunks(key, oldManifest);
+      this._finishRemove(key, oldValue, options, oldMeta);
+      return true;
+    } catch (error) {
+      this._handleError(error, 'remove', key);
+      return false;
+    }
+  }
+  
+  clear(options = {}) {
+    if (!this.storageAvailable) return false;
+    
+    const silent = !!options.silent;
+    
+    try {
+      const keysToRemove = this.keys();
+      
+      if (this.namespace) {
+        keysToRemove.forEach(key => this.remove(key, { silent: true }));
+      } else {
+        this._getStorage().clear();
+      }
+      
+      if (!silent) {
+        keysToRemove.forEach(key => this._notifyWatchers(key, null));
+        this._triggerEvent('clear');
+      }
+      
+      return true;
+    } catch (error) {
+      this._handleError(error, 'clear');
+      return false;
+    }
+  }
+  
+  has(key) {
+    return this.get(key) !== null;
+  }
+  
+  // Удаляет значение по пути внутри записи; для обычного ключа - как remove().
+  // С deepPaths remove() ведет себя так же
+  unset(key, options = {}) {
+    const target = this._pathTarget(key);
+    if (!target) return this.remove(key, options);
+    
+    const root = this.get(target.key, undefined);
+    const next = unsetByPath(root, target.path);
+    if (next === root) return false;
+    
+    return this.set(target.key, next, options);
+  }
+  
+  keys() {
+    if (!this.storageAvailable) return [];
+    
+    const keys = [];
+    const prefix = this._prefixKey('');
+    
+    for (let i = 0; i < this._getStorage().length; i++) {
+      const key = this._getStorage().key(i);
+      if (key.startsWith(prefix) && !this._isReservedKey(key.substring(prefix.length))) {
+        keys.push(key.substring(prefix.length));
+      }
+    }
+    return keys;
+  }
+  
+  // ======================
+  // 2. Расширенные операции
+  // ======================
+  
+  // Глубокое слияние; options.arrays - 'replace' | 'concat' | 'merge' | (target, source, path) => ...
+  // options.deep: false возвращает прежнее поверхностное слияние
+  patch(key, updates, options = {}) {
+    const currentValue = this.get(key, {});
+    if (typeof currentValue !== 'object' || currentValue === null) return false;
+    
+    const merged = options.deep === false 
+      ? { ...currentValue, ...updates } 
+      : deepMerge(currentValue, updates, options);
+    return this.set(key, merged, options);
+  }
+  
+  increment(key, amount = 1, options = {}) {
+    const currentValue = this.get(key, 0);
+    if (typeof currentValue !== 'number') return false;
+    
+    const newValue = currentValue + amount;
+    return this.set(key, newValue, options) ? newValue : false;
+  }
+  
+  decrement(key, amount = 1, options = {}) {
+    return this.increment(key, -amount, options);
+  }
+  
+  toggle(key, options = {}) {
+    const currentValue = this.get(key, false);
+    if (typeof currentValue !== 'boolean') return false;
+    
+    const newValue = !currentValue;
+    return this.set(key, newValue, options) ? newValue : false;
+  }
+  
+  push(key, ...items) {
+    const array = this.get(key, []);
+    if (!Array.isArray(array)) return false;
+    
+    const newArray = [...array, ...items];
+    return this.set(key, newArray);
+  }
+  
+  pop(key, options = {}) {
+    const array = this.get(key, []);
+    if (!Array.isArray(array) || array.length === 0) return null;
+    
+    const newArray = [...array];
+    const item = newArray.pop();
+    return this.set(key, newArray, options) ? item : null;
+  }
+  
+  shift(key, options = {}) {
+    const array = this.get(key, []);
+    if (!Array.isArray(array) || array.length === 0) return null;
+    
+    const newArray = [...array];
+    const item = newArray.shift();
+    return this.set(key, newArray, options) ? item : null;
+  }
+  
+  unshift(key, ...items) {
+    const array = this.get(key, []);
+    if (!Array.isArray(array)) return false;
+    
+    const newArray = [...items, ...array];
+    return this.set(key, newArray);
+  }
+  
+  // =====================
+  // 3. Управление TTL
+  // =====================
+  
+  setTTL(key, ttl, options = {}) {
+    const value = this.get(key, MISSING, { skipExpiration: true });
+    if (value === MISSING) return false;
+    return this.set(key, value, { ...options, ttl });
+  }
+  
+  getRemainingTTL(key) {
+    if (!this.storageAvailable) return 0;
+    
+    const fullKey = this._prefixKey(key);
+    const rawValue = this._getStorage().getItem(fullKey);
+    
+    if (!rawValue) return 0;
+    
+    this._assertSyncCrypto('getRemainingTTL', rawValue);
+    
+    try {
+      const resolved = this._resolveChunks(key, rawValue);
+      const encrypted = this._isEncryptedValue(resolved);
+      const value = encrypted ? this._decrypt(resolved) : resolved;
+      
+      const storageItem = this._parseStorageItem(value, encrypted);
+      if (!storageItem.meta?.expires) return Infinity;
+      
+      const remaining = storageItem.meta.expires - Date.now();
+      return Math.max(0, remaining);
+    } catch (error) {
+      if (error instanceof DecryptionError || error instanceof IntegrityError) throw error;
+      return 0;
+    }
+  }
+  
+  getExpirationDate(key) {
+    const remaining = this.getRemainingTTL(key);
+    return remaining > 0 ? new Date(Date.now() + remaining) : null;
+  }
+  
+  cleanupExpired() {
+    if (!this.storageAvailable) return 0;
+    
+    let count = 0;
+    const keys = this.keys();
+    
+    keys.forEach(key => {
+      // Записи, зашифрованные AES, проверяются при чтении через getAsync()
+      if (this._isAsyncOnlyRaw(key)) return;
+      
+      try {
+        if (this.getRemainingTTL(key) === 0) {
+          this._expire(key, this._peekValue(key));
+          count++;
+        }
+      } catch {
+        // Нерасшифровываемые записи не удаляем: ключ мог просто смениться
+      }
+    });
+    
+    if (count > 0) {
+      this._triggerEvent('cleanup', count);
+    }
+    
+    return count;
+  }
+  
+  // =====================
+  // 4. Групповые операции
+  // =====================
+  
+  setMany(items, options = {}) {
+    const results = {};
+    Object.entries(items).forEach(([key, value]) => {
+      results[key] = this.set(key, value, options);
+    });
+    return results;
+  }
+  
+  getMany(keys, defaultValue = null) {
+    const results = {};
+    keys.forEach(key => {
+      results[key] = this.get(key, defaultValue);
+    });
+    return results;
+  }
+  
+  removeMany(keys, options = {}) {
+    const results = {};
+    keys.forEach(key => {
+      results[key] = this.remove(key, options);
+    });
+    return results;
+  }
+  
+  transaction(operations) {
+    const ops = this._collectTransactionOps(operations);
+    const snapshot = this._snapshotKeys(ops);
+    const events = [];
+    
+    try {
+      const results = {};
+      
+      ops.forEach(op => {
+        const result = this._applyTransactionOp(op, events);
+        results[op.type] = results[op.type] || {};
+        results[op.type][op.key] = result;
+      });
+      
+      // События отправляются только после успешной фиксации всех операций
+      this._emitTransactionEvents(operations, ops, events, results);
+      return results;
+    } catch (error) {
+      this._restoreKeys(snapshot, ops);
+      this._handleError(error, 'transaction');
+      this._triggerEvent('rollback', ops, error);
+      return false;
+    }
+  }
+  
+  // =====================
+  // 5. Мониторинг и статистика
+  // =====================
+  
+  // Размер записи включает ее историю изменений и части
+  getSize(key = null) {
+    if (!this.storageAvailable) return 0;
+    
+    const sizeOf = this._getSizes();
+    if (key) return sizeOf(key);
+    
+    return this.keys().reduce((total, k) => total + sizeOf(k), 0);
+  }
+  
+  getStats() {
+    return {
+      keys: this.keys().length,
+      size: this.getSize(),
+      available: this._getAvailableSpace(),
+      quota: this._getStorageQuota(),
+      namespace: this.namespace,
+      storageType: this.storageType
+    };
+  }
+  
+  // =====================
+  // 6. Резервное копирование
+  // =====================
+  
+  // options: prefix, pattern, includeExpired. Копия с паролем шифруется
+  // AES-GCM, а он доступен только асинхронно - см. exportAsync()
+  export(options = {}) {
+    if (options.passphrase) {
+      throw new Error('Backup encryption is async-only, use exportAsync() instead');
+    }
+    
+    const entries = [];
+    
+    this.keys().filter(key => this._matchBackupKey(key, options)).forEach(key => {
+      const entry = this._getEntry(key, { skipExpiration: options.includeExpired });
+      if (!entry) return;
+      
+      const binary = entry.meta.chunks ? this._readChunksSync(key, entry.meta.chunks) : null;
+      entries.push(this._backupEntry(key, entry, binary));
+    });
+    
+    return this._writeBackup(this._defaultSerializer(entries), null, entries.length);
+  }
+  
+  // options: merge, conflict ('skip' | 'overwrite' | 'newest' | функция), 
+  // includeExpired. Возвращает отчет по каждому ключу. Зашифрованные копии
+  // (AES-GCM) читает только importAsync()
+  import(backup, options = {}) {
+    const parsed = this._readBackup(backup);
+    if (parsed.payload) {
+      throw new Error('Encrypted backups require importAsync()');
+    }
+    
+    const entries = this._verifyBackup(parsed, parsed.body);
+    const report = this._createImportReport(entries.length);
+    
+    if (!options.merge) {
+      this.clear({ silent: true });
+    }
+    
+    entries.forEach(entry => {
+      const current = this._getEntry(entry.key, { skipExpiration: true });
+      const plan = this._planImport(entry, current, options, report);
+      if (!plan) return;
+      
+      let chunks = null;
+      try {
+        const writeOptions = this._importOptions(entry);
+        if (entry.binary !== undefined) {
+          chunks = this._writeChunksSync(entry.key, entry.binary, writeOptions.encrypt);
+        }
+        
+        if (this.set(entry.key, plan.value, { ...writeOptions, ...(chunks && { chunks }) })) {
+          report[plan.result].push(entry.key);
+          return;
+        }
+        report.failed.push({ key: entry.key, reason: 'rejected' });
+      } catch (error) {
+        report.failed.push({ key: entry.key, reason: error.message, error });
+      }
+      this._discardChunks(entry.key, chunks);
+    });
+    
+    this._finishImport(report);
+    return report;
+  }
+  
+  // =====================
+  // 7. Система событий
+  // =====================
+  
+  // event может быть шаблоном: 'change:user:*', '*'.
+  // Слушатели с большим priority вызываются раньше
+  on(event, callback, options = {}) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push({
+      callback,
+      priority: options.priority || 0,
+      once: !!options.once,
+      order: ++this._listenerCounter
+    });
+    return this;
+  }
+  
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
+  }
+  
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+    
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event]
+        .filter(listener => listener.callback !== callback);
+      if (this.eventListeners[event].length === 0) {
+        delete this.eventListeners[event];
+      }
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+  
+  // Вызывает слушателей по очереди, дожидаясь асинхронных
+  async emitAsync(event, ...args) {
+    for (const listener of this._takeListeners(event)) {
+      try {
+        await listener.callback(...args);
+      } catch (e) {
+        this._reportListenerError(e, event);
+      }
+    }
+  }
+  
+  watch(target, callback, options = {}) {
+    // Числовой третий аргумент - интервал опроса из прошлых версий
+    if (typeof options !== 'object' || options === null) {
+      options = {};
+    }
+    
+    if (!this.watchers[target]) {
+      this.watchers[target] = [];
+    }
+    
+    const watcher = {
+      target,
+      callback,
+      isPattern: /[*?]/.test(target),
+      debounce: options.debounce || 0,
+      throttle: options.throttle || 0,
+      lastValues: new Map(),
+      pending: null,
+      timer: null,
+      lastCall: 0
+    };
+    
+    if (!watcher.isPattern) {
+      const { key, path } = this._splitKeyPath(target);
+      watcher.key = key;
+      watcher.path = path;
+      const value = this.get(key, undefined);
+      watcher.lastValues.set(key, path ? getByPath(value, path) : value);
+      
+      if (options.immediate) {
+        callback(watcher.lastValues.get(key), undefined, { key, path, target });
+      }
+    } else if (options.immediate) {
+      this.keys()
+        .filter(key => this._matchKeyPattern(target, key))
+        .forEach(key => {
+          const value = this.get(key, undefined);
+          watcher.lastValues.set(key, value);
+          callback(value, undefined, { key, path: '', target });
+        });
+    }
+    
+    this.watchers[target].push(watcher);
+    
+    return () => {
+      clearTimeout(watcher.timer);
+      this.watchers[target] = this.watchers[target].filter(w => w !== watcher);
+    };
+  }
+  
+  // =====================
+  // 8. Система плагинов
+  // =====================
+  
+  use(plugin) {
+    if (typeof plugin === 'function') {
+      plugin(this);
+    } else if (typeof plugin === 'object') {
+      this.plugins.push(plugin);
+      
+      if (plugin.events) {
+        Object.entries(plugin.events).forEach(([event, callback]) => {
+          this.on(event, callback);
+        });
+      }
+      
+      if (typeof plugin.init === 'function') {
+        plugin.init(this);
+      }
+    }
+    return this;
+  }
+  
+  // =====================
+  // 9. Безопасность
+  // =====================
+  
+  encryptWith(key) {
+    this.encryptionKey = key;
+    return this;
+  }
+  
+  setCryptoEngine(engine) {
+    if (['simple', 'aes'].includes(engine)) {
+      this.cryptoEngine = engine;
+    }
+    return this;
+  }
+  
+  async rekey(oldKey, newKey) {
+    const storage = this._getAsyncStorage();
+    const reencrypted = [];
+    
+    const related = [];
+    
+    // Сначала расшифровываем все записи: при ошибке хранилище не меняется
+    for (const key of await this.keysAsync()) {
+      const rawValue = await this._resolveChunksAsync(key, await storage.getItem(this._prefixKey(key)));
+      if (!rawValue) continue;
+      
+      let item = null;
+      if (this._isEncryptedValue(rawValue)) {
+        const decrypted = await this._decryptAsync(rawValue, oldKey);
+        item = this._parseStorageItem(decrypted, true);
+        reencrypted.push([key, decrypted]);
+      } else {
+        item = this._parseStorageItem(rawValue);
+      }
+      
+      // История и части двоичных данных зашифрованы отдельно от записи
+      const relatedKeys = [
+        this._historyKey(key), 
+        ...this._chunkKeys(key, item.meta?.chunks).map(chunkKey => this._prefixKey(chunkKey))
+      ];
+      for (const fullKey of relatedKeys) {
+        const relatedValue = await storage.getItem(fullKey);
+        if (!relatedValue || !this._isEncryptedValue(relatedValue)) continue;
+        related.push([fullKey, await this._decryptAsync(relatedValue, oldKey)]);
+      }
+    }
+    
+    for (const fullKey of await this._listKeysAsync(INDEX_KEY_PREFIX)) {
+      const indexValue = await storage.getItem(fullKey);
+      if (!indexValue || !this._isEncryptedValue(indexValue)) continue;
+      related.push([fullKey, await this._decryptAsync(indexValue, oldKey)]);
+    }
+    
+    // Снимки хранят записи зашифрованными старым ключом
+    const snapshots = [];
+    for (const fullKey of await this._listKeysAsync(SNAPSHOT_KEY_PREFIX)) {
+      const snapshot = JSON.parse(await storage.getItem(fullKey));
+      for (const entry of Object.values(snapshot.entries)) {
+        entry.value = await this._recryptRaw(entry.value, oldKey, newKey);
+        if (entry.history) entry.history = await this._recryptRaw(entry.history, oldKey, newKey);
+        if (entry.chunks) {
+          for (let i = 0; i < entry.chunks.length; i++) {
+            entry.chunks[i] = await this._recryptRaw(entry.chunks[i], oldKey, newKey);
+          }
+        }
+      }
+      snapshots.push([fullKey, JSON.stringify(snapshot)]);
+    }
+    
+    for (const [key, decrypted] of reencrypted) {
+      await this._writeValueAsync(key, await this._encryptAsync(decrypted, newKey));
+    }
+    for (const [fullKey, decrypted] of related) {
+      await storage.setItem(fullKey, await this._encryptAsync(decrypted, newKey));
+    }
+    for (const [fullKey, rawSnapshot] of snapshots) {
+      await storage.setItem(fullKey, rawSnapshot);
+    }
+    
+    this.encryptionKey = newKey;
+    this._triggerEvent('rekey', reencrypted.length);
+    return reencrypted.length;
+  }
+  
+  async migrateEncryption(options = {}) {
+    if (!this.encryptionKey) {
+      throw new Error('Encryption key is required to migrate encrypted data');
+    }
+    
+    const legacyKey = options.legacyKey || this.encryptionKey;
+    const storage = this._getAsyncStorage();
+    const report = { migrated: [], skipped: [], failed: [] };
+    
+    for (const key of await this.keysAsync()) {
+      const rawValue = await this._resolveChunksAsync(key, await storage.getItem(this._prefixKey(key)));
+      
+      if (rawValue === null || rawValue.startsWith(ENVELOPE_PREFIX) || 
+          (!rawValue.startsWith(LEGACY_PREFIX) && this._isPlainValue(rawValue))) {
+        report.skipped.push(key);
+        continue;
+      }
+      
+      const payload = rawValue.startsWith(LEGACY_PREFIX)
+        ? rawValue.substring(LEGACY_PREFIX.length)
+        : rawValue;
+      
+      try {
+        const decrypted = await this._decryptLegacy(payload, legacyKey);
+        await this._writeValueAsync(key, await this._encryptAsync(decrypted));
+        report.migrated.push(key);
+      } catch (error) {
+        report.failed.push({ key, error: error.message });
+      }
+    }
+    
+    this._triggerEvent('encryption-migrated', report);
+    return report;
+  }
+  
+  // =====================
+  // 10. Пространства имен
+  // =====================
+  
+  namespace(ns, options = {}) {
+    return new STlocal(
+      `${this.namespace}${this.namespaceSeparator}${ns}`, 
+      {
+        ...options,
+        namespaceSeparator: this.namespaceSeparator,
+        defaultTTL: this.defaultTTL,
+        encryptionKey: this.encryptionKey,
+        storageType: this.storageType,
+        backend: this.backend,
+        types: this.types,
+        circularRefs: this.circularRefs
+      }
+    );
+  }
+  
+  // =====================
+  // 11. Управление хранилищем
+  // =====================
+  
+  setStorageType(type) {
+    if (STlocal.isStorageBackend(type)) {
+      this.backend = type;
+      this.storageType = 'custom';
+      return true;
+    }
+    
+    if (['local', 'session'].includes(type)) {
+      this.backend = null;
+      this.storageType = type;
+      return true;
+    }
+    return false;
+  }
+  
+  static isStorageBackend(backend) {
+    return !!backend && typeof backend === 'object' &&
+      ['getItem', 'setItem', 'removeItem', 'key']
+        .every(method => typeof backend[method] === 'function');
+  }
+  
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    
+    if (this._boundStorageHandler) {
+      window.removeEventListener('storage', this._boundStorageHandler);
+      this._boundStorageHandler = null;
+    }
+    
+    Object.values(this.watchers).forEach(watchers => {
+      watchers.forEach(watcher => clearTimeout(watcher.timer));
+    });
+    
+    this.eventListeners = {};
+    this.plugins = [];
+    this.watchers = {};
+  }
+  
+  // =====================
+  // 12. Асинхронный API
+  // =====================
+  
+  async setAsync(key, value, options = {}) {
+    if (!this.storageAvailable) return false;
+    
+    const target = await this._pathTargetAsync(key);
+    if (target) {
+      const root = await this.getAsync(target.key, MISSING);
+      const next = this._setPathValue(key, root === MISSING ? undefined : root, target.path, value);
+      return next !== MISSING && this.setAsync(target.key, next, options);
+    }
+    
+    const fullKey = this._prefixKey(key);
+    
+    // Записи одного ключа выполняются по очереди, иначе версии
+    // и проверка expectedVersion разъедутся между await
+    return this._enqueueWrite(fullKey, async () => {
+      const prepared = this._prepareSet(key, value, options, await this._readItemAsync(key));
+      if (!prepared) return false;
+      
+      try {
+        const serialized = this.serializer(prepared.storageItem);
+        const storageValue = prepared.shouldEncrypt 
+          ? await this._encryptAsync(serialized) 
+          : serialized;
+        
+        await this._writeValueAsync(
+          key, 
+          storageValue, 
+          value => this._writeWithEvictionAsync(key, value, storageValue)
+        );
+      } catch (error) {
+        this._handleError(error, 'set', key);
+        return false;
+      }
+      
+      this._completeSet(key, prepared, options);
+      return true;
+    });
+  }
+  
+  async getAsync(key, defaultValue = null, options = {}) {
+    const target = await this._pathTargetAsync(key);
+    if (target) {
+      const value = getByPath(await this.getAsync(target.key, undefined, options), target.path);
+      return value === undefined ? defaultValue : value;
+    }
+    
+    const entry = await this._getEntryAsync(key, options);
+    if (!entry) return defaultValue;
+    
+    this._recordAccess(key);
+    return entry.value;
+  }
+  
+  async removeAsync(key, options = {}) {
+    if (!this.storageAvailable) return false;
+    
+    const target = await this._pathTargetAsync(key);
+    if (target) {
+      const root = await this.getAsync(target.key, undefined);
+      const next = unsetByPath(root, target.path);
+      return next !== root && this.setAsync(target.key, next, options);
+    }
+    
+    const fullKey = this._prefixKey(key);
+    const oldValue = await this.getAsync(key, undefined, { skipExpiration: true });
+    const oldMeta = (await this._readItemAsync(key))?.meta;
+    const oldManifest = this._readManifest(await this._getAsyncStorage().getItem(fullKey));
+    
+    try {
+      await this._getAsyncStorage().removeItem(fullKey);
+      await this._removeChunksAsync(key, oldManifest);
+      this._finishRemove(key, oldValue, options, oldMeta);
+      return true;
+    } catch (error) {
+      this._handleError(error, 'remove', key);
+      return false;
+    }
+  }
+  
+  async keysAsync() {
+    if (!this.storageAvailable) return [];
+    
+    const storage = this._getAsyncStorage();
+    const length = await storage.length;
+    const prefix = this._prefixKey('');
+    const keys = [];
+    
+    for (let i = 0; i < length; i++) {
+      const key = await storage.key(i);
+      if (key && key.startsWith(prefix) && !this._isReservedKey(key.substring(prefix.length))) {
+        keys.push(key.substring(prefix.length));
+      }
+    }
+    return keys;
+  }
+  
+  async transactionAsync(operations) {
+    const ops = await this._collectTransactionOpsAsync(operations);
+    const snapshot = await this._snapshotKeysAsync(ops);
+    const events = [];
+    
+    try {
+      const results = {};
+      
+      for (const op of ops) {
+        const result = await this._applyTransactionOpAsync(op, events);
+        results[op.type] = results[op.type] || {};
+        results[op.type][op.key] = result;
+      }
+      
+      this._emitTransactionEvents(operations, ops, events, results);
+      return results;
+    } catch (error) {
+      await this._restoreKeysAsync(snapshot, ops);
+      this._handleError(error, 'transaction');
+      this._triggerEvent('rollback', ops, error);
+      return false;
+    }
+  }
+  
+  async exportAsync(options = {}) {
+    const entries = [];
+    
+    for (const key of await this.keysAsync()) {
+      if (!this._matchBackupKey(key, options)) continue;
+      
+      const entry = await this._getEntryAsync(key, { skipExpiration: options.includeExpired });
+      if (!entry) continue;
+      
+      const binary = entry.meta.chunks ? await this._readChunks(key, entry.meta.chunks) : null;
+      entries.push(this._backupEntry(key, entry, binary));
+    }
+    
+    const body = this._defaultSerializer(entries);
+    const payload = options.passphrase 
+      ? await this._aesEncrypt(body, options.passphrase, this._createBackupSalt()) 
+      : null;
+    return this._writeBackup(body, payload, entries.length);
+  }
+  
+  async importAsync(backup, options = {}) {
+    const parsed = this._readBackup(backup);
+    const entries = this._verifyBackup(
+      parsed, 
+      parsed.payload ? await this._decryptAsync(parsed.payload, options.passphrase) : parsed.body
+    );
+    const report = this._createImportReport(entries.length);
+    
+    if (!options.merge) {
+      for (const key of await this.keysAsync()) {
+        await this.removeAsync(key, { silent: true });
+      }
+    }
+    
+    for (const entry of entries) {
+      await this._importEntryAsync(entry, options, report);
+    }
+    
+    this._finishImport(report);
+    return report;
+  }
+  
+  // =====================
+  // 13. Блокировки
+  // =====================
+  
+  async withLock(name, fn, options = {}) {
+    const timeout = options.timeout !== undefined ? options.timeout : 10000;
+    const lockName = this._prefixKey(`__stlocal_lock__:${name}`);
+    
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      const controller = new AbortController();
+      const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+      
+      try {
+        return await navigator.locks.request(lockName, { signal: controller.signal }, () => {
+          clearTimeout(timer);
+          return fn(this);
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw new LockTimeoutError(name);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    
+    const lease = options.lease || LOCK_LEASE;
+    const owner = await this._acquireLease(lockName, name, timeout, lease);
+    
+    // Продление аренды, пока выполняется fn; если вкладка закроется,
+    // аренда истечет и блокировку заберет другая вкладка. Если продлить
+    // не удалось, аренда считается потерянной и больше не продлевается
+    let lost = false;
+    const heartbeat = setInterval(() => {
+      this._renewLease(lockName, owner, lease).catch(error => {
+        lost = true;
+        clearInterval(heartbeat);
+        this._handleError(error, 'lock', name);
+      });
+    }, lease / 2);
+    heartbeat.unref?.();
+    
+    try {
+      return await fn(this);
+    } finally {
+      clearInterval(heartbeat);
+      if (!lost) await this._releaseLease(lockName, owner);
+    }
+  }
+  
+  // =====================
+  // 14. Версии и оптимистичная конкурентность
+  // =====================
+  
+  getWithVersion(key, defaultValue = null) {
+    const entry = this._getEntry(key);
+    return entry
+      ? { value: entry.value, version: entry.meta.version || 0 }
+      : { value: defaultValue, version: 0 };
+  }
+  
+  compareAndSet(key, expectedVersion, value, options = {}) {
+    return this.set(key, value, { ...options, expectedVersion });
+  }
+  
+  update(key, fn, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+    
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const { value, version } = this.getWithVersion(key, options.defaultValue);
+      const newValue = fn(value);
+      
+      if (this.compareAndSet(key, version, newValue, options)) {
+        return newValue;
+      }
+    }
+    
+    this._handleError(new Error(`Update conflict after ${retries} retries`), 'update', key);
+    return false;
+  }
+  
+  async getWithVersionAsync(key, defaultValue = null) {
+    const entry = await this._getEntryAsync(key);
+    return entry
+      ? { value: entry.value, version: entry.meta.version || 0 }
+      : { value: defaultValue, version: 0 };
+  }
+  
+  async compareAndSetAsync(key, expectedVersion, value, options = {}) {
+    return this.setAsync(key, value, { ...options, expectedVersion });
+  }
+  
+  async updateAsync(key, fn, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+    
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const { value, version } = await this.getWithVersionAsync(key, options.defaultValue);
+      const newValue = await fn(value);
+      
+      if (await this.compareAndSetAsync(key, version, newValue, options)) {
+        return newValue;
+      }
+    }
+    
+    this._handleError(new Error(`Update conflict after ${retries} retries`), 'update', key);
+    return false;
+  }
+  
+  // =====================
+  // 15. Версии схемы и миграции
+  // =====================
+  
+  migrate() {
+    const stored = this._parseSchemaVersion(this._getStorage().getItem(this._prefixKey(SCHEMA_KEY)));
+    const from = this._resolveSchemaVersion(stored, this.keys().length > 0);
+    
+    for (const version of this._pendingMigrations(from)) {
+      const committed = this.transaction(tx => {
+        this.migrations[version](tx, this);
+        tx._setRaw(SCHEMA_KEY, version);
+      });
+      
+      if (!committed) {
+        throw new Error(`Schema migration to version ${version} failed`);
+      }
+    }
+    
+    if (stored !== this.schemaVersion) {
+      this._getStorage().setItem(this._prefixKey(SCHEMA_KEY), String(this.schemaVersion));
+    }
+    
+    return this._finishMigration(from);
+  }
+  
+  async migrateAsync() {
+    const storage = this._getAsyncStorage();
+    const stored = this._parseSchemaVersion(await storage.getItem(this._prefixKey(SCHEMA_KEY)));
+    const from = this._resolveSchemaVersion(stored, (await this.keysAsync()).length > 0);
+    
+    for (const version of this._pendingMigrations(from)) {
+      const committed = await this.transactionAsync(async tx => {
+        await this.migrations[version](tx, this);
+        tx._setRaw(SCHEMA_KEY, version);
+      });
+      
+      if (!committed) {
+        throw new Error(`Schema migration to version ${version} failed`);
+      }
+    }
+    
+    if (stored !== this.schemaVersion) {
+      await storage.setItem(this._prefixKey(SCHEMA_KEY), String(this.schemaVersion));
+    }
+    
+    return this._finishMigration(from);
+  }
+  
+  getSchemaVersion() {
+    return this._parseSchemaVersion(this._getStorage().getItem(this._prefixKey(SCHEMA_KEY)));
+  }
+  
+  // =====================
+  // 16. Схемы данных
+  // =====================
+  
+  defineSchema(keyOrPattern, schema) {
+    if (schema) {
+      this.schemas[keyOrPattern] = schema;
+    } else {
+      delete this.schemas[keyOrPattern];
+    }
+    return this;
+  }
+  
+  validate(key, value) {
+    const schema = this._findSchema(key);
+    if (!schema) return { valid: true, value, errors: [] };
+    
+    const { value: result, errors } = validateSchema(schema, value, this.schemaOptions);
+    return { valid: errors.length === 0, value: result, errors };
+  }
+  
+  // =====================
+  // 17. Запросы
+  // =====================
+  
+  query() {
+    return new STlocalQuery(this);
+  }
+  
+  // =====================
+  // 18. Вторичные индексы
+  // =====================
+  
+  createIndex(name, extractor, options = {}) {
+    this.indexes[name] = { extractor, unique: !!options.unique };
+    
+    // Сохраненный индекс переиспользуется, если не запрошено перестроение
+    if (options.rebuild || this._getStorage().getItem(this._indexKey(name)) === null) {
+      this.rebuildIndex(name);
+    }
+    return this;
+  }
+  
+  dropIndex(name) {
+    delete this.indexes[name];
+    this._getStorage().removeItem(this._indexKey(name));
+    return this;
+  }
+  
+  rebuildIndex(name = null) {
+    const names = name ? [name] : Object.keys(this.indexes);
+    const data = {};
+    names.forEach(indexName => {
+      data[indexName] = { values: {}, keys: {} };
+    });
+    
+    this.keys().forEach(key => {
+      const entry = this._getEntry(key, { skipExpiration: true });
+      if (!entry) return;
+      
+      names.forEach(indexName => {
+        this._addToIndex(data[indexName], key, this._extractIndexValues(indexName, key, entry.value));
+      });
+    });
+    
+    names.forEach(indexName => this._writeIndex(indexName, data[indexName]));
+    this._triggerEvent('index-rebuilt', names);
+    return this;
+  }
+  
+  findKeysBy(name, value) {
+    if (!this.indexes[name]) {
+      throw new Error(`Index "${name}" is not defined`);
+    }
+    
+    return [...(this._readIndex(name).values[JSON.stringify(value)] || [])];
+  }
+  
+  findBy(name, value) {
+    return this.findKeysBy(name, value)
+      .map(key => this.get(key, MISSING))
+      .filter(item => item !== MISSING);
+  }
+  
+  findOneBy(name, value) {
+    const [first] = this.findBy(name, value);
+    return first === undefined ? null : first;
+  }
+  
+  // =====================
+  // 19. JSON Patch и diff
+  // =====================
+  
+  // ops - массив операций RFC 6902 или объект merge-patch RFC 7386.
+  // Операции применяются к копии: если хоть одна не прошла, запись не меняется
+  applyPatch(key, ops, options = {}) {
+    const current = this._getOrUndefined(key);
+    
+    try {
+      const next = Array.isArray(ops) 
+        ? applyJsonPatch(current, ops) 
+        : applyMergePatch(current, ops);
+      
+      if (next === undefined) return this.remove(key, options);
+      return this.set(key, next, options);
+    } catch (error) {
+      this._handleError(error, 'applyPatch', key);
+      return false;
+    }
+  }
+  
+  diff(key, candidate) {
+    return diffJson(this._getOrUndefined(key), candidate);
+  }
+  
+  // =====================
+  // 20. История изменений
+  // =====================
+  
+  // Версии от старых к новым: { id, timestamp, value, current? }.
+  // После undo() в списке остаются и версии, доступные для redo()
+  history(key) {
+    const record = this._readHistory(key);
+    const item = this._readItem(key);
+    if (!record || !item) return [];
+    
+    const past = [];
+    let value = item.data;
+    for (let i = record.undo.length - 1; i >= 0; i--) {
+      value = applyJsonPatch(value, record.undo[i].patch);
+      past.unshift({ id: record.undo[i].id, timestamp: record.undo[i].timestamp, value });
+    }
+    
+    const future = [];
+    value = item.data;
+    for (let i = record.redo.length - 1; i >= 0; i--) {
+      value = applyJsonPatch(value, record.redo[i].patch);
+      future.push({ id: record.redo[i].id, timestamp: record.redo[i].timestamp, value });
+    }
+    
+    return [
+      ...past,
+      { id: record.currentId, timestamp: record.currentTimestamp, value: item.data, current: true },
+      ...future
+    ];
+  }
+  
+  undo(key) {
+    return this._stepHistory(key, 'undo', 'redo');
+  }
+  
+  redo(key) {
+    return this._stepHistory(key, 'redo', 'undo');
+  }
+  
+  // Записывает выбранную версию как новую; текущая остается в истории
+  revert(key, versionId, options = {}) {
+    const version = this.history(key).find(item => item.id === versionId);
+    if (!version) return false;
+    if (version.current) return true;
+    
+    const { meta } = this._readItem(key);
+    return this.set(key, version.value, { ...this._historyWriteOptions(meta), ...options });
+  }
+  
+  clearHistory(key) {
+    if (!this.storageAvailable || this.backend?.async) return false;
+    this._getStorage().removeItem(this._historyKey(key));
+    return true;
+  }
+  
+  // =====================
+  // 21. Снимки
+  // =====================
+  
+  // Снимок хранит записи как есть: значения, meta и историю, зашифрованное
+  // остается зашифрованным
+  snapshot(name) {
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('Snapshot name must be a non-empty string');
+    }
+    
+    const snapshot = { name, created: Date.now(), entries: this._captureEntries() };
+    
+    try {
+      this._getStorage().setItem(this._snapshotKey(name), JSON.stringify(snapshot));
+    } catch (error) {
+      this._handleError(error, 'snapshot', name);
+      return null;
+    }
+    
+    this._triggerEvent('snapshot', name);
+    return this._describeSnapshot(snapshot);
+  }
+  
+  listSnapshots() {
+    if (!this.storageAvailable) return [];
+    
+    const storage = this._getStorage();
+    const prefix = this._prefixKey(SNAPSHOT_KEY_PREFIX);
+    const snapshots = [];
+    
+    for (let i = 0; i < storage.length; i++) {
+      const fullKey = storage.key(i);
+      if (!fullKey.startsWith(prefix)) continue;
+      
+      const snapshot = this._readSnapshot(fullKey.substring(prefix.length));
+      if (snapshot) snapshots.push(this._describeSnapshot(snapshot));
+    }
+    
+    return snapshots.sort((a, b) => a.created - b.created);
+  }
+  
+  // options.keys - массив ключей или шаблон: восстанавливаются только они.
+  // Без фильтра ключи, которых не было в снимке, удаляются
+  restore(name, options = {}) {
+    const snapshot = this._readSnapshot(name);
+    if (!snapshot) return false;
+    
+    const current = this._captureEntries();
+    const matches = this._snapshotFilter(options.keys);
+    const keys = [...new Set([...Object.keys(snapshot.entries), ...Object.keys(current)])]
+      .filter(matches);
+    
+    const oldValues = {};
+    const oldMetas = {};
+    keys.forEach(key => { 
+      oldValues[key] = this._peekValue(key); 
+      oldMetas[key] = this._readItem(key)?.meta;
+    });
+    
+    const result = this.transaction(tx => {
+      keys.forEach(key => {
+        const entry = snapshot.entries[key];
+        if (!entry) {
+          tx.remove(key);
+          return;
+        }
+        tx._setRaw(key, entry.value);
+        if (entry.history) tx._setRaw(HISTORY_KEY_PREFIX + key, entry.history);
+        
+        const chunks = entry.chunks && this._decodeRaw(entry.value)?.meta?.chunks;
+        if (chunks) {
+          this._chunkKeys(key, chunks).forEach((chunkKey, i) => tx._setRaw(chunkKey, entry.chunks[i]));
+        }
+      });
+    });
+    if (!result) return false;
+    
+    // Части, которые заменил снимок, больше не нужны
+    keys
+      .filter(key => snapshot.entries[key])
+      .forEach(key => this._dropChunks(
+        key, 
+        oldMetas[key], 
+        this._decodeRaw(snapshot.entries[key].value)?.meta?.chunks
+      ));
+    
+    // История без пары в снимке относится к другому значению
+    keys
+      .filter(key => snapshot.entries[key] && !snapshot.entries[key].history)
+      .forEach(key => this.clearHistory(key));
+    
+    Object.keys(this.indexes).forEach(indexName => this.rebuildIndex(indexName));
+    
+    keys
+      .filter(key => snapshot.entries[key] && snapshot.entries[key].value !== current[key]?.value)
+      .forEach(key => this._emitChange(key, this._peekValue(key), oldValues[key], 'restore'));
+    
+    this._triggerEvent('restore', name, keys);
+    return true;
+  }
+  
+  // Без второго имени снимок сравнивается с текущим состоянием
+  diffSnapshots(nameA, nameB = null) {
+    const a = this._readSnapshot(nameA);
+    const b = nameB === null ? { entries: this._captureEntries() } : this._readSnapshot(nameB);
+    if (!a || !b) return null;
+    
+    const result = { added: [], removed: [], changed: [] };
+    const keys = new Set([...Object.keys(a.entries), ...Object.keys(b.entries)]);
+    
+    keys.forEach(key => {
+      const before = a.entries[key];
+      const after = b.entries[key];
+      
+      if (!before) {
+        result.added.push(key);
+      } else if (!after) {
+        result.removed.push(key);
+      } else if (before.value !== after.value) {
+        const beforeItem = this._decodeRaw(before.value);
+        const afterItem = this._decodeRaw(after.value);
+        
+        // Значения, которые нельзя прочитать синхронно (AES), сравниваются как строки
+        if (!beforeItem || !afterItem) {
+          result.changed.push({ key, patch: null });
+        } else if (!deepEqual(beforeItem, afterItem)) {
+          result.changed.push({
+            key,
+            patch: diffJson(beforeItem.data, afterItem.data),
+            meta: { before: beforeItem.meta, after: afterItem.meta }
+          });
+        }
+      }
+    });
+    
+    return result;
+  }
+  
+  deleteSnapshot(name) {
+    if (!this.storageAvailable || this._readSnapshot(name) === null) return false;
+    
+    this._getStorage().removeItem(this._snapshotKey(name));
+    return true;
+  }
+  
+  // =====================
+  // 22. Двоичные данные
+  // =====================
+  
+  // Данные кодируются в base64 и делятся на части; в самом ключе лежит манифест
+  // { size, type, sha256, kind }, его же возвращает get(key)
+  async setBinary(key, data, options = {}) {
+    if (!this.storageAvailable) return false;
+    
+    let chunks = null;
+    const shouldEncrypt = options.encrypt !== undefined ? options.encrypt : !!this.encryptionKey;
+    
+    try {
+      const bytes = await toBytes(data);
+      const manifest = {
+        size: bytes.length,
+        type: options.type || data.type || 'application/octet-stream',
+        sha256: await this._sha256(bytes),
+        kind: this._binaryKind(data)
+      };
+      
+      // Новые части пишутся до манифеста, старые удаляются после:
+      // при сбое ключ указывает на полный прежний или полный новый набор
+      chunks = await this._writeChunks(key, bytesToBase64(bytes), shouldEncrypt, options.chunkSize);
+      
+      if (await this.setAsync(key, manifest, { ...options, chunks, history: false })) {
+        return true;
+      }
+    } catch (error) {
+      this._handleError(error, 'setBinary', key);
+    }
+    
+    if (chunks) await this._removeChunksAsync(key, chunks);
+    return false;
+  }
+  
+  // options.as: 'blob' | 'arraybuffer' | 'uint8array' (по умолчанию - как при записи)
+  async getBinary(key, options = {}) {
+    const entry = await this._getEntryAsync(key);
+    if (!entry || !entry.meta.chunks) return null;
+    
+    const manifest = entry.value;
+    const bytes = base64ToBytes(await this._readChunks(key, entry.meta.chunks));
+    
+    if (bytes.length !== manifest.size) {
+      throw new IntegrityError(key, `expected ${manifest.size} bytes, got ${bytes.length}`);
+    }
+    if (await this._sha256(bytes) !== manifest.sha256) {
+      throw new IntegrityError(key, 'SHA-256 mismatch');
+    }
+    
+    const kind = options.as || manifest.kind;
+    if (kind === 'blob' && typeof Blob === 'function') {
+      return new Blob([bytes], { type: manifest.type });
+    }
+    return kind === 'arraybuffer' ? bytes.buffer : bytes;
+  }
+  
+  // =====================
+  // 23. Типы значений
+  // =====================
+  
+  // definition: { test(value), encode(value) -> JSON-совместимое, decode(encoded) }
+  registerType(name, definition) {
+    if (!name || typeof name !== 'string' || RESERVED_TYPE_NAMES.includes(name)) {
+      throw new TypeError(`Invalid type name "${name}"`);
+    }
+    if (!definition || ['test', 'encode', 'decode'].some(fn => typeof definition[fn] !== 'function')) {
+      throw new TypeError(`Type "${name}" must define test, encode and decode`);
+    }
+    
+    // Повторная регистрация переносит тип в конец - он проверяется первым
+    this.types.delete(name);
+    this.types.set(name, definition);
+    return this;
+  }
+  
+  // =====================
+  // 24. Потоковый экспорт и импорт
+  // =====================
+  
+  // NDJSON: строка заголовка, по строке на запись, завершающая строка с числом
+  // записей. options: prefix, pattern, includeExpired, passphrase, readable
+  exportStream(options = {}) {
+    const lines = this._exportLines(options);
+    return options.readable ? this._toReadableStream(lines) : lines;
+  }
+  
+  // source: строка, ReadableStream или (асинхронный) итератор строк/байтов.
+  // options: conflict, passphrase, includeExpired, resume - имя для продолжения
+  // после обрыва
+  async importStream(source, options = {}) {
+    const checkpoint = await this._readImportCheckpoint(options.resume);
+    const report = checkpoint 
+      ? checkpoint.report 
+      : { ...this._createImportReport(0), line: 0, complete: false };
+    let line = 0;
+    
+    for await (const text of this._readLines(source)) {
+      if (!text.trim()) continue;
+      line++;
+      if (line <= report.line) continue;
+      
+      const record = JSON.parse(text);
+      
+      if (record.format !== undefined) {
+        if (record.format !== STREAM_FORMAT || record.version > BACKUP_VERSION) {
+          throw new Error(`Unsupported stream format ${record.format} v${record.version}`);
+        }
+      } else if (record.end) {
+        if (record.count !== report.total) {
+          throw new IntegrityError(this.namespace, `expected ${record.count} records, got ${report.total}`);
+        }
+        report.complete = true;
+      } else {
+        const body = record.payload 
+          ? await this._decryptAsync(record.payload, options.passphrase) 
+          : text;
+        const entry = this._defaultDeserializer(body);
+        if (!entry || typeof entry !== 'object' || typeof entry.key !== 'string') {
+          throw new DecryptionError();
+        }
+        
+        report.total++;
+        await this._importEntryAsync(entry, options, report);
+        this._triggerEvent('progress', { 
+          ...this._createEvent('import', entry.key), 
+          line, 
+          processed: report.total 
+        });
+      }
+      
+      report.line = line;
+      await this._writeImportCheckpoint(options.resume, report);
+    }
+    
+    // Без завершающей строки поток оборван: позиция остается для resume
+    if (report.complete) {
+      await this._writeImportCheckpoint(options.resume, null);
+    }
+    
+    this._finishImport(report);
+    return report;
+  }
+  
+  // =====================
+  // 25. Обход записей
+  // =====================
+  //
+  // Обход идет по ключам на момент начала. Просроченные записи пропускаются,
+  // но не удаляются во время обхода. options: prefix, pattern, includeExpired
+  
+  [Symbol.iterator]() {
+    return this.entries()[Symbol.iterator]();
+  }
+  
+  // for...of - синхронно, for await...of - через асинхронный API (адаптеры, AES).
+  // { meta: true } добавляет meta третьим элементом
+  entries(options = {}) {
+    return this._iterable(options, ([key, value, meta]) => 
+      options.meta ? [key, value, meta] : [key, value]);
+  }
+  
+  values(options = {}) {
+    return this._iterable(options, ([, value]) => value);
+  }
+  
+  // Срок действия проверяется по meta, значения не читаются
+  get size() {
+    return this.keys().filter(key => this._isLiveMeta(this._readMeta(key, 'size'), {})).length;
+  }
+  
+  forEach(callback, options = {}) {
+    for (const [key, value, meta] of this._iterate(options)) {
+      callback(value, key, meta);
+    }
+  }
+  
+  // Возвращает пары [key, value], как entries()
+  filter(predicate, options = {}) {
+    const result = [];
+    for (const [key, value, meta] of this._iterate(options)) {
+      if (predicate(value, key, meta)) result.push([key, value]);
+    }
+    return result;
+  }
+  
+  map(callback, options = {}) {
+    const result = [];
+    for (const [key, value, meta] of this._iterate(options)) {
+      result.push(callback(value, key, meta));
+    }
+    return result;
+  }
+  
+  reduce(callback, initialValue, options = {}) {
+    let accumulator = initialValue;
+    for (const [key, value, meta] of this._iterate(options)) {
+      accumulator = callback(accumulator, value, key, meta);
+    }
+    return accumulator;
+  }
+  
+  // =====================
+  // 26. Метаданные
+  // =====================
+  
+  // { created, updated, accessed, accessCount, expires, ttl, encryption, version,
+  //   pinned, priority, ...пользовательские поля } или null
+  getMeta(key) {
+    const item = this._readLiveItem(key, 'getMeta');
+    return item ? this._withAccess(key, item.meta) : null;
+  }
+  
+  async getMetaAsync(key) {
+    const item = await this._readItemAsync(key);
+    return item && !this._isExpired(item) ? this._withAccess(key, item.meta) : null;
+  }
+  
+  // Меняет пользовательские поля, pinned и priority без перезаписи значения;
+  // undefined удаляет поле
+  setMeta(key, partial) {
+    this._assertMetaFields(partial);
+    return this._rewriteMeta(key, 'setMeta', meta => ({ ...meta, ...partial }));
+  }
+  
+  async setMetaAsync(key, partial) {
+    this._assertMetaFields(partial);
+    return this._rewriteMetaAsync(key, 'setMeta', meta => ({ ...meta, ...partial }));
+  }
+  
+  // Отмечает обращение и отсчитывает TTL заново (options.ttl - новый срок)
+  touch(key, options = {}) {
+    if (!this._rewriteMeta(key, 'touch', meta => this._touchMeta(meta, options))) return false;
+    this._recordAccess(key);
+    return true;
+  }
+  
+  async touchAsync(key, options = {}) {
+    return !!await this._rewriteMetaAsync(key, 'touch', meta => this._touchMeta(meta, options));
+  }
+  
+  // =====================
+  // Приватные методы
+  // =====================
+  
+  _init() {
+    this.storageAvailable = this._checkStorageSupport();
+    
+    // Асинхронные хранилища и AES мигрируются явным вызовом migrateAsync()
+    if (this.storageAvailable && this.schemaVersion && 
+        !this.backend?.async && !this._isAsyncCrypto()) {
+      this.migrate();
+    }
+    
+    if (this.autoCleanup && !this.backend?.async) {
+      this.cleanupExpired();
+      this.cleanupInterval = setInterval(
+        () => this.cleanupExpired(), 
+        60 * 1000
+      );
+      // В Node.js таймер очистки не должен удерживать процесс
+      this.cleanupInterval.unref?.();
+    }
+    
+    // События storage приходят только от встроенных хранилищ браузера
+    if (this.storageAvailable && this.crossTabSync && 
+        !this.backend && typeof window !== 'undefined') {
+      this._boundStorageHandler = this._handleStorageEvent.bind(this);
+      window.addEventListener('storage', this._boundStorageHandler);
+    }
+  }
+  
+  _getStorage() {
+    if (this.backend) {
+      if (this.backend.async) {
+        throw new Error('Async storage backend cannot be used with the sync API');
+      }
+      return this.backend;
+    }
+    
+    return this.storageType === 'session' 
+      ? sessionStorage 
+      : localStorage;
+  }
+  
+  _getAsyncStorage() {
+    if (this.backend) return this.backend;
+    
+    return this.storageType === 'session' 
+      ? sessionStorage 
+      : localStorage;
+  }
+  
+  // Общая подготовка записи для set() и setAsync()
+  _prepareSet(key, value, options, previous = null) {
+    if (this.validator && !this.validator(value, key)) {
+      this._handleError(new Error('Validation failed'), 'set', key);
+      return null;
+    }
+    
+    const validation = this.validate(key, value);
+    if (!validation.valid) {
+      this._handleError(new ValidationError(key, validation.errors), 'set', key);
+      return null;
+    }
+    value = validation.value;
+    
+    // Функции индексов вызываются до записи: упавшая функция не оставит
+    // записанное значение с устаревшим индексом
+    const indexValues = this._collectIndexValues(key, value);
+    const indexConflict = this._findUniqueConflict(key, indexValues);
+    if (indexConflict) {
+      this._handleError(
+        new Error(`Unique index "${indexConflict.name}" already contains ${JSON.stringify(indexConflict.value)}`),
+        'set', 
+        key
+      );
+      return null;
+    }
+    
+    const currentVersion = previous?.meta?.version || 0;
+    if (options.expectedVersion !== undefined && options.expectedVersion !== currentVersion) {
+      this._triggerEvent('conflict', key, options.expectedVersion, currentVersion);
+      return null;
+    }
+    
+    const ttl = options.ttl !== undefined ? options.ttl : this.defaultTTL;
+    const shouldEncrypt = options.encrypt !== undefined ? options.encrypt : !!this.encryptionKey;
+    
+    // Пользовательские поля meta переживают перезапись значения;
+    // плагины могут изменить их, вернув meta из beforeSet
+    const customMeta = { ...pickCustomMeta(previous?.meta), ...pickCustomMeta(options.meta) };
+    const processed = this._runPlugins('beforeSet', { 
+      key, 
+      value, 
+      options,
+      meta: customMeta,
+      operation: 'set'
+    });
+    
+    const now = Date.now();
+    const storageItem = {
+      data: processed.value,
+      meta: {
+        ...pickCustomMeta(processed.meta !== undefined ? processed.meta : customMeta),
+        created: previous?.meta?.created || now,
+        updated: now,
+        expires: ttl ? now + ttl * 1000 : null,
+        ttl,
+        encryption: shouldEncrypt,
+        version: currentVersion + 1,
+        pinned: options.pin !== undefined ? !!options.pin : !!previous?.meta?.pinned,
+        priority: options.priority !== undefined ? options.priority : (previous?.meta?.priority || 0),
+        ...(options.chunks && { chunks: options.chunks })
+      }
+    };
+    
+    // Импорт сохраняет время создания, срок действия и прочие поля из копии
+    if (options.restoreMeta) {
+      const { chunks, encryption, version, ...restored } = options.restoreMeta;
+      Object.assign(storageItem.meta, restored);
+    }
+    
+    return { 
+      value, 
+      processed, 
+      storageItem, 
+      shouldEncrypt, 
+      indexValues,
+      oldValue: previous?.data, 
+      oldMeta: previous?.meta 
+    };
+  }
+  
+  // Значение уже записано: сбой индексов, истории или слушателей
+  // сообщается через 'error', но не превращает запись в неудачную
+  _completeSet(key, prepared, options) {
+    try {
+      this._finishSet(key, prepared.value, prepared, options);
+    } catch (error) {
+      this._handleError(error, 'set', key);
+    }
+  }
+  
+  _finishSet(key, value, prepared, options) {
+    this._updateIndexes(key, value, prepared.indexValues);
+    this._recordHistory(key, prepared, options);
+    this._dropChunks(key, prepared.oldMeta, prepared.storageItem.meta.chunks);
+    
+    if (!options.silent) {
+      this._emitChange(key, value, prepared.oldValue);
+    }
+    
+    this._runPlugins('afterSet', { 
+      key, 
+      value: prepared.processed.value, 
+      options,
+      operation: 'set'
+    });
+  }
+  
+  // Полное чтение записи: плагины, расшифровка, проверка срока действия.
+  // Возвращает { value, meta } или null, если значения нет
+  _getEntry(key, options = {}) {
+    if (!this.storageAvailable) return null;
+    
+    const fullKey = this._prefixKey(key);
+    const rawValue = this._getStorage().getItem(fullKey);
+    
+    if (rawValue === null) return null;
+    
+    this._assertSyncCrypto('get', rawValue);
+    
+    try {
+      const processed = this._runPlugins('beforeGet', { 
+        key, 
+        rawValue: this._resolveChunks(key, rawValue), 
+        options,
+        operation: 'get'
+      });
+      
+      const encrypted = this._isEncryptedValue(processed.rawValue);
+      const decryptedValue = encrypted
+        ? this._decrypt(processed.rawValue)
+        : processed.rawValue;
+      
+      const storageItem = this._parseStorageItem(decryptedValue, encrypted);
+      
+      if (!options.skipExpiration && this._isExpired(storageItem)) {
+        this._expire(key, storageItem.data);
+        return null;
+      }
+      
+      return {
+        value: this._finishGet(key, storageItem, options),
+        meta: storageItem.meta || {}
+      };
+    } catch (error) {
+      this._handleError(error, 'get', key);
+      if (error instanceof DecryptionError) throw error;
+      return null;
+    }
+  }
+  
+  async _getEntryAsync(key, options = {}) {
+    if (!this.storageAvailable) return null;
+    
+    const fullKey = this._prefixKey(key);
+    
+    try {
+      const rawValue = await this._getAsyncStorage().getItem(fullKey);
+      if (rawValue === null || rawValue === undefined) return null;
+      
+      const processed = this._runPlugins('beforeGet', { 
+        key, 
+        rawValue: await this._resolveChunksAsync(key, rawValue), 
+        options,
+        operation: 'get'
+      });
+      
+      const encrypted = this._isEncryptedValue(processed.rawValue);
+      const decryptedValue = encrypted
+        ? await this._decryptAsync(processed.rawValue)
+        : processed.rawValue;
+      
+      const storageItem = this._parseStorageItem(decryptedValue, encrypted);
+      
+      if (!options.skipExpiration && this._isExpired(storageItem)) {
+        await this.removeAsync(key, { silent: true });
+        this._emitExpire(key, storageItem.data);
+        return null;
+      }
+      
+      return {
+        value: this._finishGet(key, storageItem, options),
+        meta: storageItem.meta || {}
+      };
+    } catch (error) {
+      this._handleError(error, 'get', key);
+      if (error instanceof DecryptionError) throw error;
+      return null;
+    }
+  }
+  
+  // Запись как есть, без плагинов и проверки срока; null, если не читается
+  _readItem(key) {
+    const storedValue = this._getStorage().getItem(this._prefixKey(key));
+    if (storedValue === null || this._isAsyncOnlyValue(storedValue)) return null;
+    
+    try {
+      const rawValue = this._resolveChunks(key, storedValue);
+      const encrypted = this._isEncryptedValue(rawValue);
+      return this._parseStorageItem(encrypted ? this._decrypt(rawValue) : rawValue, encrypted);
+    } catch {
+      return null;
+    }
+  }
+  
+  async _readItemAsync(key) {
+    const storedValue = await this._getAsyncStorage().getItem(this._prefixKey(key));
+    if (storedValue === null || storedValue === undefined) return null;
+    
+    try {
+      const rawValue = await this._resolveChunksAsync(key, storedValue);
+      const encrypted = this._isEncryptedValue(rawValue);
+      return this._parseStorageItem(
+        encrypted ? await this._decryptAsync(rawValue) : rawValue, 
+        encrypted
+      );
+    } catch {
+      return null;
+    }
+  }
+  
+  _enqueueWrite(fullKey, task) {
+    const previous = this._writeQueues.get(fullKey) || Promise.resolve();
+    const next = previous.then(task, task);
+    const tail = next.catch(() => {});
+    
+    this._writeQueues.set(fullKey, tail);
+    tail.then(() => {
+      if (this._writeQueues.get(fullKey) === tail) {
+        this._writeQueues.delete(fullKey);
+      }
+    });
+    
+    return next;
+  }
+  
+  _parseStorageItem(decryptedValue, encrypted = false) {
+    let storageItem;
+    try {
+      storageItem = this.deserializer(decryptedValue);
+    } catch {
+      if (encrypted) throw new DecryptionError();
+      return { data: decryptedValue, meta: {} };
+    }
+    
+    // Расшифрованная запись всегда содержит meta, иначе ключ неверный
+    if (encrypted && (!storageItem || typeof storageItem !== 'object' || !storageItem.meta)) {
+      throw new DecryptionError();
+    }
+    return storageItem;
+  }
+  
+  _isExpired(storageItem) {
+    return !!(storageItem.meta?.expires && Date.now() > storageItem.meta.expires);
+  }
+  
+  _finishGet(key, storageItem, options) {
+    return this._runPlugins('afterGet', { 
+      key, 
+      value: storageItem.data, 
+      meta: storageItem.meta || {},
+      options,
+      operation: 'get'
+    }).value;
+  }
+  
+  _finishRemove(key, oldValue, options, oldMeta = null) {
+    this._updateIndexes(key, undefined);
+    this._forgetAccess(key);
+    this._dropChunks(key, oldMeta);
+    
+    if (!options.keepHistory) {
+      this.clearHistory(key);
+    }
+    
+    if (!options.silent) {
+      this._emitRemove(key, oldValue);
+    }
+  }
+  
+  // Позиционные аргументы сохранены для совместимости, объект события - последний
+  _emitChange(key, value, oldValue, operation = 'set', source = 'local') {
+    const event = this._createEvent(operation, key, oldValue, value, source);
+    event.paths = changedPaths(oldValue, value);
+    
+    // Для синхронизации дельтами: патч вместо значений целиком
+    if (this.patchEvents) {
+      event.patch = diffJson(oldValue, value);
+      delete event.oldValue;
+      delete event.newValue;
+    }
+    this._triggerEvent('change', key, value, event);
+    this._triggerEvent(`change:${key}`, value, event);
+    this._notifyWatchers(key, value, oldValue);
+  }
+  
+  _emitRemove(key, oldValue, operation = 'remove', source = 'local') {
+    const event = this._createEvent(operation, key, oldValue, null, source);
+    this._triggerEvent('remove', key, oldValue, event);
+    this._triggerEvent(`remove:${key}`, oldValue, event);
+    this._notifyWatchers(key, null, oldValue);
+  }
+  
+  _emitExpire(key, oldValue) {
+    const event = this._createEvent('expire', key, oldValue, null);
+    this._triggerEvent('expire', key, oldValue, event);
+    this._triggerEvent(`expire:${key}`, oldValue, event);
+    this._notifyWatchers(key, null, oldValue);
+  }
+  
+  _createEvent(operation, key = null, oldValue, newValue, source = 'local') {
+    return {
+      key,
+      oldValue,
+      newValue,
+      source,
+      operation,
+      namespace: this.namespace,
+      timestamp: Date.now()
+    };
+  }
+  
+  _isAsyncCrypto() {
+    return !!this.encryptionKey && this.cryptoEngine === 'aes';
+  }
+  
+  // AES доступен только через WebCrypto, поэтому синхронный API
+  // не может ни зашифровать, ни расшифровать такие значения
+  _assertSyncCrypto(operation, rawValue = null, alternative = `${operation}Async()`) {
+    const asyncOnly = rawValue === null
+      ? this._isAsyncCrypto()
+      : this._isAsyncOnlyValue(rawValue);
+    
+    if (asyncOnly) {
+      throw new Error(
+        `Crypto engine "${this.cryptoEngine}" is async-only, use ${alternative} instead`
+      );
+    }
+  }
+  
+  _isAsyncOnlyValue(rawValue) {
+    if (rawValue.startsWith(CHUNKED_PREFIX)) return !!this._readManifest(rawValue)?.asyncOnly;
+    const envelope = this._isEncryptedValue(rawValue) ? this._readEnvelope(rawValue) : null;
+    return !!envelope && envelope.engine !== 'xor';
+  }
+  
+  // Старое значение для событий удаления, без исключений расшифровки
+  _peekValue(key) {
+    if (this._isAsyncOnlyRaw(key)) return undefined;
+    
+    try {
+      const value = this.get(key, MISSING, { skipExpiration: true });
+      return value === MISSING ? undefined : value;
+    } catch {
+      return undefined;
+    }
+  }
+  
+  _isAsyncOnlyRaw(key) {
+    const rawValue = this._getStorage().getItem(this._prefixKey(key));
+    return rawValue !== null && this._isAsyncOnlyValue(rawValue);
+  }
+  
+  _getSubtleCrypto() {
+    const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+    return cryptoApi && cryptoApi.subtle ? cryptoApi : null;
+  }
+  
+  // =====================
+  // Формат зашифрованных значений
+  // =====================
+  //
+  // ENC2:{"v":2,"engine":"aes-gcm","kdf":{...},"iv":"...","ct":"..."} - текущий формат
+  // ENC:<base64> - формат 2.1/3.0 (XOR или AES-CBC без соли и проверки целостности)
+  
+  _isEncryptedValue(rawValue) {
+    return rawValue.startsWith(ENVELOPE_PREFIX) || rawValue.startsWith(LEGACY_PREFIX);
+  }
+  
+  _readEnvelope(rawValue) {
+    if (rawValue.startsWith(LEGACY_PREFIX)) {
+      return {
+        v: 1,
+        engine: this.cryptoEngine === 'aes' ? 'aes-cbc' : 'xor',
+        ct: rawValue.substring(LEGACY_PREFIX.length)
+      };
+    }
+    
+    try {
+      return JSON.parse(rawValue.substring(ENVELOPE_PREFIX.length));
+    } catch {
+      throw new DecryptionError('Decryption failed: malformed envelope');
+    }
+  }
+  
+  _writeEnvelope(envelope) {
+    return ENVELOPE_PREFIX + JSON.stringify({ v: ENVELOPE_VERSION, ...envelope });
+  }
+  
+  async _encryptAsync(data, passphrase = this.encryptionKey) {
+    if (!passphrase) return data;
+    if (this.cryptoEngine !== 'aes') return this._encrypt(data, passphrase);
+    
+    if (!this._getSubtleCrypto()) {
+      throw new Error('WebCrypto is not available for the AES engine');
+    }
+    return this._aesEncrypt(data, passphrase);
+  }
+  
+  // Копии шифруются AES-GCM со своей солью независимо от cryptoEngine:
+  // XOR с известным открытым текстом (формат копии) раскрывает пароль
+  _createBackupSalt() {
+    if (!this._getSubtleCrypto()) {
+      throw new Error('WebCrypto is required to encrypt backups');
+    }
+    return this._createSalt();
+  }
+  
+  async _decryptAsync(rawValue, passphrase = this.encryptionKey) {
+    const envelope = this._readEnvelope(rawValue);
+    if (envelope.engine === 'xor') return this._decrypt(rawValue, passphrase);
+    
+    if (!this._getSubtleCrypto()) {
+      throw new Error('WebCrypto is not available for the AES engine');
+    }
+    
+    return envelope.engine === 'aes-cbc'
+      ? this._legacyAesDecrypt(envelope.ct, passphrase)
+      : this._aesDecrypt(envelope, passphrase);
+  }
+  
+  // =====================
+  // Транзакции
+  // =====================
+  
+  // Приводит объектную форму и форму-построитель к списку операций
+  _collectTransactionOps(operations) {
+    if (typeof operations === 'function') {
+      const ops = [];
+      operations(this._createTransactionBuilder(ops));
+      return ops;
+    }
+    
+    return this._normalizeTransactionOps(operations);
+  }
+  
+  async _collectTransactionOpsAsync(operations) {
+    if (typeof operations === 'function') {
+      const ops = [];
+      await operations(this._createTransactionBuilder(ops));
+      return ops;
+    }
+    
+    return this._normalizeTransactionOps(operations);
+  }
+  
+  _normalizeTransactionOps(operations) {
+    const ops = [];
+    
+    ['set', 'patch', 'increment', 'push'].forEach(type => {
+      Object.entries(operations[type] || {}).forEach(([key, value]) => {
+        ops.push({ type, key, value, options: {} });
+      });
+    });
+    
+    (operations.remove || []).forEach(key => {
+      ops.push({ type: 'remove', key, options: {} });
+    });
+    
+    return ops;
+  }
+  
+  _createTransactionBuilder(ops) {
+    const tx = {
+      set: (key, value, options = {}) => {
+        ops.push({ type: 'set', key, value, options });
+        return tx;
+      },
+      remove: key => {
+        ops.push({ type: 'remove', key, options: {} });
+        return tx;
+      },
+      patch: (key, updates, options = {}) => {
+        ops.push({ type: 'patch', key, value: updates, options });
+        return tx;
+      },
+      increment: (key, amount = 1, options = {}) => {
+        ops.push({ type: 'increment', key, value: amount, options });
+        return tx;
+      },
+      decrement: (key, amount = 1, options = {}) => tx.increment(key, -amount, options),
+      push: (key, ...items) => {
+        ops.push({ type: 'push', key, value: items, options: {} });
+        return tx;
+      },
+      // Служебная запись без сериализации, плагинов и событий
+      _setRaw: (key, value) => {
+        ops.push({ type: 'raw', key, value: String(value), options: {} });
+        return tx;
+      }
+    };
+    
+    return tx;
+  }
+  
+  // Вычисляет новое значение для операции записи или null, если тип не подходит
+  _resolveTransactionOp(op, current) {
+    switch (op.type) {
+      case 'set':
+        return { value: op.value, result: true };
+      case 'patch':
+        if (typeof current !== 'object' || current === null) return null;
+        return { value: deepMerge(current, op.value, op.options || {}), result: true };
+      case 'increment':
+        if (typeof current !== 'number') return null;
+        return { value: current + op.value, result: current + op.value };
+      case 'push':
+        if (!Array.isArray(current)) return null;
+        return { value: [...current, ...op.value], result: true };
+      default:
+        throw new Error(`Unknown transaction operation "${op.type}"`);
+    }
+  }
+  
+  _applyTransactionOp(op, events) {
+    if (op.type === 'raw') {
+      this._writeValue(op.key, op.value);
+      return true;
+    }
+    
+    if (op.type === 'remove') {
+      const oldValue = this._peekValue(op.key);
+      if (!this.remove(op.key, { silent: true })) {
+        throw new Error(`Transaction failed to remove "${op.key}"`);
+      }
+      events.push({ type: 'remove', key: op.key, oldValue });
+      return true;
+    }
+    
+    const oldValue = this._getOrUndefined(op.key);
+    const current = op.type === 'set' || oldValue === undefined
+      ? TRANSACTION_DEFAULTS[op.type]
+      : oldValue;
+    const resolved = this._resolveTransactionOp(op, current);
+    
+    if (!resolved || !this.set(op.key, resolved.value, { ...op.options, silent: true })) {
+      throw new Error(`Transaction operation "${op.type}" failed for "${op.key}"`);
+    }
+    
+    events.push({ type: 'change', key: op.key, value: resolved.value, oldValue });
+    return resolved.result;
+  }
+  
+  async _applyTransactionOpAsync(op, events) {
+    if (op.type === 'raw') {
+      await this._writeValueAsync(op.key, op.value);
+      return true;
+    }
+    
+    if (op.type === 'remove') {
+      const oldValue = await this.getAsync(op.key, MISSING, { skipExpiration: true })
+        .then(value => value === MISSING ? undefined : value, () => undefined);
+      if (!await this.removeAsync(op.key, { silent: true })) {
+        throw new Error(`Transaction failed to remove "${op.key}"`);
+      }
+      events.push({ type: 'remove', key: op.key, oldValue });
+      return true;
+    }
+    
+    const oldValue = await this.getAsync(op.key, MISSING)
+      .then(value => value === MISSING ? undefined : value, () => undefined);
+    const current = op.type === 'set' || oldValue === undefined
+      ? TRANSACTION_DEFAULTS[op.type]
+      : oldValue;
+    const resolved = this._resolveTransactionOp(op, current);
+    
+    if (!resolved || !await this.setAsync(op.key, resolved.value, { ...op.options, silent: true })) {
+      throw new Error(`Transaction operation "${op.type}" failed for "${op.key}"`);
+    }
+    
+    events.push({ type: 'change', key: op.key, value: resolved.value, oldValue });
+    return resolved.result;
+  }
+  
+  // Индексы меняются вместе с данными, поэтому тоже откатываются.
+  // chunkKeys - части записей, прочитанные синхронно или асинхронно
+  _snapshotTargets(ops, chunkKeys) {
+    return [
+      ...ops.map(op => this._prefixKey(op.key)),
+      ...ops.map(op => this._historyKey(op.key)),
+      ...chunkKeys.map(chunkKey => this._prefixKey(chunkKey)),
+      ...Object.keys(this.indexes).map(name => this._prefixKey(INDEX_KEY_PREFIX + name))
+    ];
+  }
+  
+  // Сырые значения затронутых ключей для отката
+  _snapshotKeys(ops) {
+    const storage = this._getStorage();
+    const snapshot = new Map();
+    
+    const chunkKeys = ops.flatMap(op => this._chunkKeysOf(op.key));
+    this._snapshotTargets(ops, chunkKeys).forEach(fullKey => {
+      if (!snapshot.has(fullKey)) {
+        snapshot.set(fullKey, storage.getItem(fullKey));
+      }
+    });
+    
+    return snapshot;
+  }
+  
+  async _snapshotKeysAsync(ops) {
+    const storage = this._getAsyncStorage();
+    const snapshot = new Map();
+    
+    const chunkKeys = [];
+    for (const op of ops) {
+      chunkKeys.push(...await this._chunkKeysOfAsync(op.key));
+    }
+    
+    for (const fullKey of this._snapshotTargets(ops, chunkKeys)) {
+      if (!snapshot.has(fullKey)) {
+        snapshot.set(fullKey, await storage.getItem(fullKey));
+      }
+    }
+    
+    return snapshot;
+  }
+  
+  _restoreKeys(snapshot, ops) {
+    const storage = this._getStorage();
+    
+    snapshot.forEach((rawValue, fullKey) => {
+      if (rawValue === null) {
+        storage.removeItem(fullKey);
+      } else {
+        storage.setItem(fullKey, rawValue);
+      }
+    });
+    
+    const fullKeys = Array.from({ length: storage.length }, (_, i) => storage.key(i));
+    this._strayChunkKeys(snapshot, ops, fullKeys).forEach(fullKey => storage.removeItem(fullKey));
+  }
+  
+  async _restoreKeysAsync(snapshot, ops) {
+    const storage = this._getAsyncStorage();
+    
+    for (const [fullKey, rawValue] of snapshot) {
+      if (rawValue === null || rawValue === undefined) {
+        await storage.removeItem(fullKey);
+      } else {
+        await storage.setItem(fullKey, rawValue);
+      }
+    }
+    
+    const fullKeys = [];
+    const length = await storage.length;
+    for (let i = 0; i < length; i++) {
+      fullKeys.push(await storage.key(i));
+    }
+    for (const fullKey of this._strayChunkKeys(snapshot, ops, fullKeys)) {
+      await storage.removeItem(fullKey);
+    }
+  }
+  
+  // Части, записанные внутри транзакции (новый набор с другим id), в снимок
+  // не попали: после отката на них не ссылается ни манифест, ни meta
+  _strayChunkKeys(snapshot, ops, fullKeys) {
+    const prefix = this._prefixKey(CHUNK_KEY_PREFIX);
+    const keys = new Set(ops.map(op => op.key));
+    
+    return fullKeys.filter(fullKey => 
+      fullKey && 
+      fullKey.startsWith(prefix) && 
+      !snapshot.has(fullKey) && 
+      keys.has(this._sizeOwner(fullKey.substring(this._prefixKey('').length)))
+    );
+  }
+  
+  _emitTransactionEvents(operations, ops, events, results) {
+    events.forEach(event => {
+      if (event.type === 'remove') {
+        this._emitRemove(event.key, event.oldValue, 'transaction');
+      } else {
+        this._emitChange(event.key, event.value, event.oldValue, 'transaction');
+      }
+    });
+    
+    this._triggerEvent(
+      'transaction', 
+      typeof operations === 'function' ? ops : operations, 
+      results
+    );
+  }
+  
+  // =====================
+  // Квоты и вытеснение
+  // =====================
+  
+  // measured - полное значение, если в ключ пишется манифест частей
+  _writeWithEviction(key, storageValue, measured = storageValue) {
+    const state = this._reserveSpace(key, measured);
+    
+    for (;;) {
+      try {
+        this._getStorage().setItem(this._prefixKey(key), storageValue);
+        return;
+      } catch (error) {
+        if (!this._isQuotaError(error) || !this._freeSpace(key, state, 'quota')) throw error;
+      }
+    }
+  }
+  
+  async _writeWithEvictionAsync(key, storageValue, measured = storageValue) {
+    const storage = this._getAsyncStorage();
+    const state = await this._reserveSpaceAsync(key, measured);
+    
+    for (;;) {
+      try {
+        await storage.setItem(this._prefixKey(key), storageValue);
+        return;
+      } catch (error) {
+        if (!this._isQuotaError(error) || !await this._freeSpaceAsync(key, state, 'quota')) {
+          throw error;
+        }
+      }
+    }
+  }
+  
+  // Вытесняет записи, пока measured не уложится в maxSize/maxKeys.
+  // Возвращает состояние для повторных попыток при ошибке квоты
+  _reserveSpace(key, measured) {
+    const state = { notified: false, cleaned: false };
+    
+    while (this._exceedsLimits(key, measured, this.keys(), this._getSizes())) {
+      if (!this._freeSpace(key, state, 'limit')) {
+        throw new Error(`Storage limits exceeded for "${key}"`);
+      }
+    }
+    return state;
+  }
+  
+  async _reserveSpaceAsync(key, measured) {
+    const state = { notified: false, cleaned: false };
+    
+    while (this._exceedsLimits(
+      key, 
+      measured, 
+      await this.keysAsync(), 
+      await this._getSizesAsync()
+    )) {
+      if (!await this._freeSpaceAsync(key, state, 'limit')) {
+        throw new Error(`Storage limits exceeded for "${key}"`);
+      }
+    }
+    return state;
+  }
+  
+  _exceedsLimits(key, storageValue, keys, sizeOf) {
+    const isNew = !keys.includes(key);
+    
+    if (this.maxKeys && isNew && keys.length >= this.maxKeys) return true;
+    
+    if (this.maxSize) {
+      const size = keys
+        .filter(k => k !== key)
+        .reduce((total, k) => total + sizeOf(k), 0);
+      return size + new Blob([storageValue]).size > this.maxSize;
+    }
+    
+    return false;
+  }
+  
+  // Размеры считаются по сырым строкам за один проход по ключам, без
+  // расшифровки: история и части относятся к записи по имени ключа
+  _getSizes() {
+    const storage = this._getStorage();
+    const prefix = this._prefixKey('');
+    const sizes = {};
+    
+    for (let i = 0; i < storage.length; i++) {
+      const fullKey = storage.key(i);
+      if (!fullKey.startsWith(prefix)) continue;
+      
+      const owner = this._sizeOwner(fullKey.substring(prefix.length));
+      if (owner === null) continue;
+      
+      const value = storage.getItem(fullKey);
+      sizes[owner] = (sizes[owner] || 0) + (value ? new Blob([value]).size : 0);
+    }
+    return key => sizes[key] || 0;
+  }
+  
+  // Ключ записи, к которой относится сырой ключ; null - служебный ключ
+  _sizeOwner(key) {
+    if (key.startsWith(HISTORY_KEY_PREFIX)) return key.substring(HISTORY_KEY_PREFIX.length);
+    if (key.startsWith(CHUNK_KEY_PREFIX)) {
+      // __stlocal_chunk__:<key>:<id>:<номер>
+      return key.substring(CHUNK_KEY_PREFIX.length).split(':').slice(0, -2).join(':');
+    }
+    return this._isReservedKey(key) ? null : key;
+  }
+  
+  async _getSizesAsync() {
+    const storage = this._getAsyncStorage();
+    const prefix = this._prefixKey('');
+    const length = await storage.length;
+    const sizes = {};
+    
+    for (let i = 0; i < length; i++) {
+      const fullKey = await storage.key(i);
+      if (!fullKey || !fullKey.startsWith(prefix)) continue;
+      
+      const owner = this._sizeOwner(fullKey.substring(prefix.length));
+      if (owner === null) continue;
+      
+      const value = await storage.getItem(fullKey);
+      sizes[owner] = (sizes[owner] || 0) + (value ? new Blob([value]).size : 0);
+    }
+    return key => sizes[key] || 0;
+  }
+  
+  _isQuotaError(error) {
+    return error.name === 'QuotaExceededError' || 
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 || 
+      error.code === 1014;
+  }
+  
+  // Освобождает место за один шаг: сначала удаляет просроченные записи,
+  // затем вытесняет по одной записи согласно политике
+  _freeSpace(key, state, reason) {
+    this._notifyQuota(key, state, reason);
+    
+    if (!state.cleaned) {
+      state.cleaned = true;
+      if (this.cleanupExpired() > 0) return true;
+    }
+    
+    const candidates = this.keys().map(k => ({ key: k, meta: this._readItem(k)?.meta }));
+    const victim = this._pickEvictionVictim(key, candidates);
+    if (!victim) return false;
+    
+    const oldValue = this._peekValue(victim);
+    this.remove(victim, { silent: true });
+    this._triggerEvent('evict', victim, this.evictionPolicy, this._createEvent('evict', victim, oldValue, null));
+    return true;
+  }
+  
+  async _freeSpaceAsync(key, state, reason) {
+    this._notifyQuota(key, state, reason);
+    
+    const candidates = [];
+    for (const k of await this.keysAsync()) {
+      candidates.push({ key: k, meta: (await this._readItemAsync(k))?.meta });
+    }
+    
+    if (!state.cleaned) {
+      state.cleaned = true;
+      const expired = candidates.filter(candidate => candidate.meta && this._isExpired(candidate));
+      for (const candidate of expired) {
+        await this.removeAsync(candidate.key, { silent: true });
+      }
+      if (expired.length) {
+        this._triggerEvent('cleanup', expired.length);
+        return true;
+      }
+    }
+    
+    const victim = this._pickEvictionVictim(key, candidates);
+    if (!victim) return false;
+    
+    await this.removeAsync(victim, { silent: true });
+    this._triggerEvent('evict', victim, this.evictionPolicy, this._createEvent('evict', victim));
+    return true;
+  }
+  
+  _notifyQuota(key, state, reason) {
+    if (!state.notified) {
+      state.notified = true;
+      const event = { ...this._createEvent('set', key), reason };
+      // 'quota-exceeded' - прежнее имя события, сохранено для совместимости
+      this._triggerEvent('quota-exceeded', event);
+      this._triggerEvent('quota', event);
+    }
+  }
+  
+  _isPinned(key, meta) {
+    return !!meta.pinned || this.pinned.some(pattern => this._matchKeyPattern(pattern, key));
+  }
+  
+  // Нечитаемые (например, зашифрованные AES) и закрепленные записи не вытесняются
+  _pickEvictionVictim(key, candidates) {
+    if (!this.evictionPolicy) return null;
+    
+    const access = this._readAccessLog();
+    const lastUsed = candidate => access[candidate.key]?.accessed || candidate.meta.created || 0;
+    const useCount = candidate => access[candidate.key]?.count || 0;
+    
+    const comparators = {
+      lru: (a, b) => lastUsed(a) - lastUsed(b),
+      lfu: (a, b) => useCount(a) - useCount(b) || lastUsed(a) - lastUsed(b),
+      ttl: (a, b) => (a.meta.expires || Infinity) - (b.meta.expires || Infinity) ||
+        (a.meta.created || 0) - (b.meta.created || 0),
+      priority: (a, b) => (a.meta.priority || 0) - (b.meta.priority || 0) ||
+        (a.meta.created || 0) - (b.meta.created || 0)
+    };
+    
+    const [victim] = candidates
+      .filter(candidate => candidate.key !== key && candidate.meta && 
+        !this._isPinned(candidate.key, candidate.meta))
+      .sort(comparators[this.evictionPolicy]);
+    
+    return victim ? victim.key : null;
+  }
+  
+  _tracksAccess() {
+    return this.trackAccess || ['lru', 'lfu'].includes(this.evictionPolicy);
+  }
+  
+  // Поля accessed и accessCount берутся из журнала обращений
+  _withAccess(key, meta, access = this._readAccessLog()) {
+    return { 
+      ...meta, 
+      accessed: access[key]?.accessed || null, 
+      accessCount: access[key]?.count || 0 
+    };
+  }
+  
+  // Журнал обращений для LRU/LFU хранится отдельно от записей,
+  // чтобы чтение не перезаписывало (и не перешифровывало) значения
+  _readAccessLog() {
+    if (this.backend?.async) return {};
     
-    this.eventListeners = {};
-    this.plugins = [];
-    this.storageAvailable = false;
-    this.cleanupInterval = null;
-    this.watchers = {};
+    try {
+      return JSON.parse(this._getStorage().getItem(this._prefixKey(ACCESS_KEY))) || {};
+    } catch {
+      return {};
+    }
+  }
+  
+  _recordAccess(key) {
+    if (!this._tracksAccess() || this.backend?.async) return;
     
-    this._init();
+    const access = this._readAccessLog();
+    access[key] = { accessed: Date.now(), count: (access[key]?.count || 0) + 1 };
+    
+    try {
+      this._getStorage().setItem(this._prefixKey(ACCESS_KEY), JSON.stringify(access));
+    } catch {
+      // Журнал обращений не должен ломать чтение при нехватке места
+    }
   }
-
+  
+  _forgetAccess(key) {
+    if ((!this.evictionPolicy && !this.trackAccess) || this.backend?.async) return;
+    
+    const access = this._readAccessLog();
+    if (access[key]) {
+      delete access[key];
+      this._getStorage().setItem(this._prefixKey(ACCESS_KEY), JSON.stringify(access));
+    }
+  }
+  
   // =====================
-  // 1. Основные методы
+  // Части значений
   // =====================
+  //
+  // Части хранятся в служебных ключах с идентификатором набора:
+  // __stlocal_chunk__:<key>:<id>:<n>. Набор описан в meta.chunks записи,
+  // поэтому удаление и истечение записи удаляют и ее части.
   
-  set(key, value, options = {}) {
-    if (!this.storageAvailable) return false;
+  _chunkKeys(key, chunks) {
+    if (!chunks) return [];
+    return Array.from({ length: chunks.count }, (_, i) => `${CHUNK_KEY_PREFIX}${key}:${chunks.id}:${i}`);
+  }
+  
+  // Части учитываются в maxSize/maxKeys до записи: иначе они обходят лимиты
+  async _writeChunks(key, payload, encrypt, chunkSize = this.chunkSize) {
+    const storage = this._getAsyncStorage();
+    await this._reserveSpaceAsync(key, payload);
+    const chunks = {
+      id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+      count: Math.max(1, Math.ceil(payload.length / chunkSize))
+    };
     
-    if (this.validator && !this.validator(value, key)) {
-      this._handleError(new Error('Validation failed'), 'set', key);
-      return false;
+    try {
+      const chunkKeys = this._chunkKeys(key, chunks);
+      for (let i = 0; i < chunkKeys.length; i++) {
+        const part = payload.slice(i * chunkSize, (i + 1) * chunkSize);
+        await storage.setItem(this._prefixKey(chunkKeys[i]), encrypt ? await this._encryptAsync(part) : part);
+      }
+    } catch (error) {
+      await this._removeChunksAsync(key, chunks);
+      throw error;
     }
     
-    const fullKey = this._prefixKey(key);
-    const ttl = options.ttl !== undefined ? options.ttl : this.defaultTTL;
-    const silent = !!options.silent;
-    const shouldEncrypt = options.encrypt !== undefined ? options.encrypt : !!this.encryptionKey;
+    return chunks;
+  }
+  
+  _writeChunksSync(key, payload, encrypt, chunkSize = this.chunkSize) {
+    const storage = this._getStorage();
+    this._reserveSpace(key, payload);
+    const chunks = {
+      id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+      count: Math.max(1, Math.ceil(payload.length / chunkSize))
+    };
     
-    const processed = this._runPlugins('beforeSet', { 
-      key, 
-      value, 
-      options,
-      operation: 'set'
-    });
+    try {
+      this._chunkKeys(key, chunks).forEach((chunkKey, i) => {
+        const part = payload.slice(i * chunkSize, (i + 1) * chunkSize);
+        storage.setItem(this._prefixKey(chunkKey), encrypt ? this._encrypt(part) : part);
+      });
+    } catch (error) {
+      this._discardChunks(key, chunks);
+      throw error;
+    }
     
-    const storageItem = {
-      data: processed.value,
-      meta: {
-        created: Date.now(),
-        expires: ttl ? Date.now() + ttl * 1000 : null,
-        ttl,
-        encryption: shouldEncrypt
+    return chunks;
+  }
+  
+  _readChunksSync(key, chunks) {
+    const storage = this._getStorage();
+    
+    return this._chunkKeys(key, chunks).map((chunkKey, i) => {
+      const rawValue = storage.getItem(this._prefixKey(chunkKey));
+      if (rawValue === null) {
+        throw new IntegrityError(key, `missing chunk ${i + 1} of ${chunks.count}`);
       }
+      return this._isEncryptedValue(rawValue) ? this._decrypt(rawValue) : rawValue;
+    }).join('');
+  }
+  
+  async _readChunks(key, chunks) {
+    const storage = this._getAsyncStorage();
+    const parts = [];
+    
+    for (const chunkKey of this._chunkKeys(key, chunks)) {
+      const rawValue = await storage.getItem(this._prefixKey(chunkKey));
+      if (rawValue === null || rawValue === undefined) {
+        throw new IntegrityError(key, `missing chunk ${parts.length + 1} of ${chunks.count}`);
+      }
+      parts.push(this._isEncryptedValue(rawValue) ? await this._decryptAsync(rawValue) : rawValue);
+    }
+    
+    return parts.join('');
+  }
+  
+  async _removeChunksAsync(key, chunks) {
+    const storage = this._getAsyncStorage();
+    for (const chunkKey of this._chunkKeys(key, chunks)) {
+      await storage.removeItem(this._prefixKey(chunkKey));
+    }
+  }
+  
+  // Удаляет набор частей из oldMeta, если запись теперь ссылается на другой
+  _dropChunks(key, oldMeta, keep = null) {
+    const chunks = oldMeta?.chunks;
+    if (!chunks || (keep && keep.id === chunks.id)) return;
+    this._discardChunks(key, chunks);
+  }
+  
+  _discardChunks(key, chunks) {
+    if (!chunks) return;
+    
+    if (this.backend?.async) {
+      this._removeChunksAsync(key, chunks).catch(error => this._handleError(error, 'remove', key));
+      return;
+    }
+    
+    this._chunkKeys(key, chunks).forEach(chunkKey => {
+      this._getStorage().removeItem(this._prefixKey(chunkKey));
+    });
+  }
+  
+  // Все части записи: двоичные данные (meta.chunks) и разбитое значение (манифест)
+  _chunkKeysOf(key) {
+    const manifest = this._readManifest(this._getStorage().getItem(this._prefixKey(key)));
+    return [
+      ...this._chunkKeys(key, manifest),
+      ...this._chunkKeys(key, this._readItem(key)?.meta?.chunks)
+    ];
+  }
+  
+  async _chunkKeysOfAsync(key) {
+    const manifest = this._readManifest(await this._getAsyncStorage().getItem(this._prefixKey(key)));
+    return [
+      ...this._chunkKeys(key, manifest),
+      ...this._chunkKeys(key, (await this._readItemAsync(key))?.meta?.chunks)
+    ];
+  }
+  
+  // =====================
+  // Резервные копии
+  // =====================
+  //
+  // { format, version, header: { namespace, library, created, count, encrypted },
+  //   checksum, entries | payload }. Контрольная сумма считается по
+  // сериализованным записям до шифрования. Записи: { key, value, meta, binary? },
+  // binary - содержимое двоичных данных в base64.
+  
+  _matchBackupKey(key, options) {
+    if (options.prefix && !key.startsWith(options.prefix)) return false;
+    return !options.pattern || this._matchKeyPattern(options.pattern, key);
+  }
+  
+  // Части - внутренняя деталь хранения, в копию попадает их содержимое
+  _backupEntry(key, entry, binary = null) {
+    const { chunks, ...meta } = entry.meta;
+    return { key, value: entry.value, meta, ...(binary !== null && { binary }) };
+  }
+  
+  _writeBackup(body, payload, count) {
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      header: {
+        namespace: this.namespace,
+        library: LIBRARY_VERSION,
+        created: Date.now(),
+        count,
+        encrypted: payload !== null
+      },
+      checksum: hashString(body),
+      ...(payload !== null ? { payload } : { entries: JSON.parse(body) })
+    });
+  }
+  
+  // Копия старого формата { key: value } читается как записи без meta
+  _readBackup(backup) {
+    const parsed = typeof backup === 'string' ? JSON.parse(backup) : backup;
+    
+    if (!isPlainObject(parsed) || parsed.format !== BACKUP_FORMAT) {
+      const entries = Object.entries(parsed || {}).map(([key, value]) => ({ key, value, meta: {} }));
+      return { legacy: entries };
+    }
+    if (parsed.version > BACKUP_VERSION) {
+      throw new Error(`Backup format version ${parsed.version} is newer than supported ${BACKUP_VERSION}`);
+    }
+    
+    return {
+      ...parsed,
+      body: parsed.entries !== undefined ? JSON.stringify(parsed.entries) : null
+    };
+  }
+  
+  _verifyBackup(parsed, body) {
+    if (parsed.legacy) return parsed.legacy;
+    
+    if (hashString(body) !== parsed.checksum) {
+      // Неверный пароль дает мусор, а не другую корректную копию
+      if (parsed.payload) throw new DecryptionError();
+      throw new IntegrityError(parsed.header?.namespace, 'backup checksum mismatch');
+    }
+    return this._defaultDeserializer(body);
+  }
+  
+  _createImportReport(total) {
+    return { total, imported: [], overwritten: [], skipped: [], failed: [] };
+  }
+  
+  // null - запись пропущена (причина уже в отчете), иначе { value, result }
+  _planImport(entry, current, options, report) {
+    if (!options.includeExpired && this._isExpired(entry)) {
+      report.skipped.push({ key: entry.key, reason: 'expired' });
+      return null;
+    }
+    
+    if (!current || this._isExpired(current)) {
+      return { value: entry.value, result: 'imported' };
+    }
+    
+    const strategy = options.conflict || (options.overwrite ? 'overwrite' : 'skip');
+    
+    if (typeof strategy === 'function') {
+      const value = strategy(entry.key, { value: entry.value, meta: entry.meta }, current);
+      if (value !== undefined) return { value, result: 'overwritten' };
+      report.skipped.push({ key: entry.key, reason: 'resolver' });
+      return null;
+    }
+    
+    const updated = meta => meta.updated || meta.created || 0;
+    if (strategy === 'overwrite' || 
+        (strategy === 'newest' && updated(entry.meta) > updated(current.meta))) {
+      return { value: entry.value, result: 'overwritten' };
+    }
+    
+    report.skipped.push({ key: entry.key, reason: strategy === 'newest' ? 'older' : 'exists' });
+    return null;
+  }
+  
+  // Срок действия берется из копии, а не из defaultTTL
+  _importOptions(entry) {
+    const { expires, encryption, pinned, priority } = entry.meta;
+    
+    return {
+      ttl: expires === undefined 
+        ? undefined 
+        : (expires ? Math.max(0, (expires - Date.now()) / 1000) : 0),
+      encrypt: encryption === undefined ? undefined : encryption && !!this.encryptionKey,
+      pin: pinned,
+      priority,
+      history: false,
+      silent: true,
+      restoreMeta: entry.meta
     };
+  }
+  
+  // =====================
+  // Метаданные
+  // =====================
+  
+  _readLiveItem(key, operation) {
+    const rawValue = this._getStorage().getItem(this._prefixKey(key));
+    if (rawValue === null) return null;
+    
+    this._assertSyncCrypto(operation, rawValue);
+    const item = this._readItem(key);
+    return item && !this._isExpired(item) ? item : null;
+  }
+  
+  _assertMetaFields(partial) {
+    const managed = Object.keys(partial || {}).find(name => SYSTEM_META_FIELDS.includes(name));
+    if (managed) {
+      throw new TypeError(`Meta field "${managed}" is managed by STlocal`);
+    }
+  }
+  
+  _touchMeta(meta, options) {
+    const ttl = options.ttl !== undefined ? options.ttl : meta.ttl;
+    if (!ttl && !meta.expires) return meta;
+    return { ...meta, ttl, expires: ttl ? Date.now() + ttl * 1000 : null };
+  }
+  
+  // update получает meta и возвращает новую; тот же объект - без записи.
+  // Значение, версия и время изменения не меняются
+  _rewriteMeta(key, operation, update) {
+    const item = this._readLiveItem(key, operation);
+    if (!item) return null;
+    
+    const meta = update(item.meta);
+    if (meta === item.meta) return this._withAccess(key, meta);
     
     try {
-      const serialized = this.serializer(storageItem);
-      const storageValue = shouldEncrypt 
-        ? 'ENC:' + this._encrypt(serialized) 
-        : serialized;
-      
-      this._getStorage().setItem(fullKey, storageValue);
-      
-      if (!silent) {
-        this._triggerEvent('change', key, value);
-        this._triggerEvent(`change:${key}`, value);
-        this._notifyWatchers(key, value);
-      }
-      
-      this._runPlugins('afterSet', { 
-        key, 
-        value: processed.value, 
-        options,
-        operation: 'set'
-      });
-      
-      return true;
+      const serialized = this.serializer({ ...item, meta });
+      this._writeValue(key, meta.encryption ? this._encrypt(serialized) : serialized);
     } catch (error) {
-      this._handleError(error, 'set', key);
-      return false;
+      this._handleError(error, operation, key);
+      return null;
     }
+    
+    this._triggerEvent('meta', key, meta, this._createEvent(operation, key));
+    return this._withAccess(key, meta);
   }
   
-  get(key, defaultValue = null, options = {}) {
-    if (!this.storageAvailable) return defaultValue;
+  async _rewriteMetaAsync(key, operation, update) {
+    const item = await this._readItemAsync(key);
+    if (!item || this._isExpired(item)) return null;
     
-    const fullKey = this._prefixKey(key);
-    const rawValue = this._getStorage().getItem(fullKey);
+    const meta = update(item.meta);
+    if (meta === item.meta) return this._withAccess(key, meta);
     
-    if (rawValue === null) return defaultValue;
+    const serialized = this.serializer({ ...item, meta });
+    await this._writeValueAsync(key, meta.encryption ? await this._encryptAsync(serialized) : serialized);
     
-    try {
-      const processed = this._runPlugins('beforeGet', { 
-        key, 
-        rawValue, 
-        options,
-        operation: 'get'
-      });
-      
-      let decryptedValue = processed.rawValue;
-      
-      if (processed.rawValue.startsWith('ENC:')) {
-        decryptedValue = this._decrypt(processed.rawValue.substring(4));
+    this._triggerEvent('meta', key, meta, this._createEvent(operation, key));
+    return this._withAccess(key, meta);
+  }
+  
+  // =====================
+  // Обход записей
+  // =====================
+  
+  _iterable(options, project) {
+    const storage = this;
+    return {
+      *[Symbol.iterator]() {
+        for (const entry of storage._iterate(options)) yield project(entry);
+      },
+      async *[Symbol.asyncIterator]() {
+        for await (const entry of storage._iterateAsync(options)) yield project(entry);
       }
+    };
+  }
+  
+  // Просроченные записи отсеиваются по meta до чтения значения
+  *_iterate(options) {
+    for (const key of this.keys()) {
+      if (!this._matchBackupKey(key, options) || !this._isLiveMeta(this._readMeta(key, 'entries'), options)) continue;
       
-      let storageItem;
-      try {
-        storageItem = this.deserializer(decryptedValue);
-      } catch {
-        storageItem = { data: decryptedValue, meta: {} };
+      const entry = this._getEntry(key, { skipExpiration: true });
+      if (entry && this._isLiveMeta(entry.meta, options)) {
+        yield [key, entry.value, entry.meta];
       }
+    }
+  }
+  
+  async *_iterateAsync(options) {
+    for (const key of await this.keysAsync()) {
+      if (!this._matchBackupKey(key, options)) continue;
       
-      if (!options.skipExpiration && 
-          storageItem.meta?.expires && 
-          Date.now() > storageItem.meta.expires) {
-        this.remove(key, { silent: true });
-        return defaultValue;
+      const entry = await this._getEntryAsync(key, { skipExpiration: true });
+      if (entry && this._isLiveMeta(entry.meta, options)) {
+        yield [key, entry.value, entry.meta];
       }
-      
-      const result = this._runPlugins('afterGet', { 
-        key, 
-        value: storageItem.data, 
-        meta: storageItem.meta || {},
-        options,
-        operation: 'get'
-      }).value;
-      
-      return result;
-    } catch (error) {
-      this._handleError(error, 'get', key);
-      return defaultValue;
     }
   }
   
-  remove(key, options = {}) {
-    if (!this.storageAvailable) return false;
+  _isLiveMeta(meta, options) {
+    return !!meta && (options.includeExpired || !this._isExpired({ meta }));
+  }
+  
+  // meta записи без восстановления типов и плагинов afterGet. Зашифрованные
+  // записи и записи, измененные плагинами, читаются полностью. Записи aes
+  // синхронно не прочитать - вместо пропуска бросается исключение
+  _readMeta(key, operation) {
+    const storedValue = this._getStorage().getItem(this._prefixKey(key));
+    if (storedValue === null) return null;
     
-    const fullKey = this._prefixKey(key);
-    const silent = !!options.silent;
-    const oldValue = this.get(key, undefined, { skipExpiration: true });
+    this._assertSyncCrypto(operation, storedValue, 'for await (... of entries())');
     
     try {
-      this._getStorage().removeItem(fullKey);
-      
-      if (!silent) {
-        this._triggerEvent('remove', key, oldValue);
-        this._triggerEvent(`remove:${key}`, oldValue);
-        this._notifyWatchers(key, null, oldValue);
+      const rawValue = this._resolveChunks(key, storedValue);
+      if (!this._isEncryptedValue(rawValue) && this.deserializer === this._defaultDeserializer) {
+        const item = JSON.parse(rawValue);
+        if (item && typeof item === 'object' && item.meta) return item.meta;
       }
-      
-      return true;
-    } catch (error) {
-      this._handleError(error, 'remove', key);
-      return false;
+    } catch {
+      // Ниже запись читается обычным путем
     }
+    
+    return this._getEntry(key, { skipExpiration: true })?.meta || null;
   }
   
-  clear(options = {}) {
-    if (!this.storageAvailable) return false;
-    
-    const silent = !!options.silent;
+  async _importEntryAsync(entry, options, report) {
+    const current = await this._getEntryAsync(entry.key, { skipExpiration: true });
+    const plan = this._planImport(entry, current, options, report);
+    if (!plan) return;
     
+    let chunks = null;
     try {
-      const keysToRemove = this.keys();
-      
-      if (this.namespace) {
-        keysToRemove.forEach(key => this.remove(key, { silent: true }));
-      } else {
-        this._getStorage().clear();
+      const writeOptions = this._importOptions(entry);
+      if (entry.binary !== undefined) {
+        chunks = await this._writeChunks(entry.key, entry.binary, writeOptions.encrypt);
       }
       
-      if (!silent) {
-        this._triggerEvent('clear');
+      if (await this.setAsync(entry.key, plan.value, { ...writeOptions, ...(chunks && { chunks }) })) {
+        report[plan.result].push(entry.key);
+        return;
       }
-      
-      return true;
+      report.failed.push({ key: entry.key, reason: 'rejected' });
     } catch (error) {
-      this._handleError(error, 'clear');
-      return false;
+      report.failed.push({ key: entry.key, reason: error.message, error });
     }
+    await this._removeChunksAsync(entry.key, chunks);
   }
   
-  has(key) {
-    return this.get(key) !== null;
+  async *_exportLines(options) {
+    yield JSON.stringify({
+      format: STREAM_FORMAT,
+      version: BACKUP_VERSION,
+      header: { namespace: this.namespace, library: LIBRARY_VERSION, created: Date.now() }
+    }) + '\n';
+    
+    // Одна соль на поток: ключ выводится один раз, а не для каждой записи
+    const salt = options.passphrase ? this._createBackupSalt() : null;
+    let count = 0;
+    for await (const [key, value, meta] of this._iterateAsync(options)) {
+      const binary = meta.chunks ? await this._readChunks(key, meta.chunks) : null;
+      const body = this._defaultSerializer(this._backupEntry(key, { value, meta }, binary));
+      
+      yield (options.passphrase 
+        ? JSON.stringify({ payload: await this._aesEncrypt(body, options.passphrase, salt) }) 
+        : body) + '\n';
+      count++;
+    }
+    
+    yield JSON.stringify({ end: true, count }) + '\n';
   }
   
-  keys() {
-    if (!this.storageAvailable) return [];
+  _toReadableStream(lines) {
+    if (typeof ReadableStream !== 'function') {
+      throw new Error('ReadableStream is not available in this environment');
+    }
     
-    const keys = [];
-    const prefix = this._prefixKey('');
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await lines.next();
+        if (done) controller.close();
+        else controller.enqueue(encoder.encode(value));
+      },
+      cancel() {
+        return lines.return();
+      }
+    });
+  }
+  
+  // Склеивает куски источника в строки; байты декодируются как UTF-8
+  async *_readLines(source) {
+    if (typeof source === 'string') {
+      yield* source.split('\n');
+      return;
+    }
+    
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for await (const chunk of this._iterateSource(source)) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      yield* lines;
+    }
+    
+    yield buffer + decoder.decode();
+  }
+  
+  async *_iterateSource(source) {
+    if (typeof source?.getReader !== 'function') {
+      yield* source;
+      return;
+    }
+    
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  
+  async _readImportCheckpoint(name) {
+    if (!name) return null;
+    
+    try {
+      return JSON.parse(await this._getAsyncStorage().getItem(this._prefixKey(IMPORT_KEY_PREFIX + name)));
+    } catch {
+      return null;
+    }
+  }
+  
+  // Отчет сохраняется без объектов ошибок, чтобы пережить JSON
+  async _writeImportCheckpoint(name, report) {
+    if (!name) return;
+    
+    const storage = this._getAsyncStorage();
+    const checkpointKey = this._prefixKey(IMPORT_KEY_PREFIX + name);
+    
+    if (!report) {
+      await storage.removeItem(checkpointKey);
+      return;
+    }
     
-    for (let i = 0; i < this._getStorage().length; i++) {
-      const key = this._getStorage().key(i);
-      if (key.startsWith(prefix)) {
-        keys.push(key.substring(prefix.length));
-      }
+    await storage.setItem(checkpointKey, JSON.stringify({
+      report: { ...report, failed: report.failed.map(({ key, reason }) => ({ key, reason })) }
+    }));
+  }
+  
+  _finishImport(report) {
+    const keys = [...report.imported, ...report.overwritten];
+    this._triggerEvent('import', keys.length, { ...this._createEvent('import'), keys, report });
+  }
+  
+  // =====================
+  // Разбиение больших значений
+  // =====================
+  //
+  // Строка записи длиннее chunkThreshold пишется частями, а в ключ кладется
+  // манифест. Порядок записи: новые части -> манифест (одна операция setItem)
+  // -> удаление старых частей. При сбое ключ указывает на целый старый или
+  // целый новый набор, а недописанные части остаются лишь мусором.
+  
+  _readManifest(rawValue) {
+    if (typeof rawValue !== 'string' || !rawValue.startsWith(CHUNKED_PREFIX)) return null;
+    try {
+      return JSON.parse(rawValue.substring(CHUNKED_PREFIX.length));
+    } catch {
+      return null;
     }
-    return keys;
   }
   
-  // ======================
-  // 2. Расширенные операции
-  // ======================
+  _shouldSpill(rawValue) {
+    return !!this.chunkThreshold && rawValue.length > this.chunkThreshold;
+  }
   
-  patch(key, updates, options = {}) {
-    const currentValue = this.get(key, {});
-    if (typeof currentValue !== 'object' || currentValue === null) return false;
-    return this.set(key, { ...currentValue, ...updates }, options);
+  _createManifest(rawValue) {
+    const size = Math.min(this.chunkSize, this.chunkThreshold);
+    return {
+      id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+      count: Math.ceil(rawValue.length / size),
+      size,
+      length: rawValue.length,
+      hash: hashString(rawValue),
+      asyncOnly: this._isAsyncOnlyValue(rawValue)
+    };
   }
   
-  increment(key, amount = 1, options = {}) {
-    const currentValue = this.get(key, 0);
-    if (typeof currentValue !== 'number') return false;
+  _joinChunks(key, manifest, parts) {
+    const missing = parts.findIndex(part => part === null || part === undefined);
+    if (missing !== -1) {
+      throw new IntegrityError(key, `missing chunk ${missing + 1} of ${manifest.count}`);
+    }
     
-    const newValue = currentValue + amount;
-    return this.set(key, newValue, options) ? newValue : false;
+    const rawValue = parts.join('');
+    if (rawValue.length !== manifest.length || hashString(rawValue) !== manifest.hash) {
+      throw new IntegrityError(key, 'chunk hash mismatch');
+    }
+    return rawValue;
   }
   
-  decrement(key, amount = 1, options = {}) {
-    return this.increment(key, -amount, options);
+  _resolveChunks(key, rawValue) {
+    const manifest = this._readManifest(rawValue);
+    if (!manifest) return rawValue;
+    
+    const storage = this._getStorage();
+    const parts = this._chunkKeys(key, manifest).map(chunkKey => storage.getItem(this._prefixKey(chunkKey)));
+    return this._joinChunks(key, manifest, parts);
   }
   
-  toggle(key, options = {}) {
-    const currentValue = this.get(key, false);
-    if (typeof currentValue !== 'boolean') return false;
+  async _resolveChunksAsync(key, rawValue) {
+    const manifest = this._readManifest(rawValue);
+    if (!manifest) return rawValue;
     
-    const newValue = !currentValue;
-    return this.set(key, newValue, options) ? newValue : false;
+    const storage = this._getAsyncStorage();
+    const parts = [];
+    for (const chunkKey of this._chunkKeys(key, manifest)) {
+      parts.push(await storage.getItem(this._prefixKey(chunkKey)));
+    }
+    return this._joinChunks(key, manifest, parts);
   }
   
-  push(key, ...items) {
-    const array = this.get(key, []);
-    if (!Array.isArray(array)) return false;
+  // Пишет готовую строку записи; write получает саму строку или манифест
+  _writeValue(key, rawValue, write = value => this._getStorage().setItem(this._prefixKey(key), value)) {
+    const storage = this._getStorage();
+    const previous = this._readManifest(storage.getItem(this._prefixKey(key)));
+    const manifest = this._shouldSpill(rawValue) ? this._createManifest(rawValue) : null;
     
-    const newArray = [...array, ...items];
-    return this.set(key, newArray);
+    try {
+      if (manifest) {
+        this._chunkKeys(key, manifest).forEach((chunkKey, i) => {
+          storage.setItem(
+            this._prefixKey(chunkKey), 
+            rawValue.slice(i * manifest.size, (i + 1) * manifest.size)
+          );
+        });
+      }
+      write(manifest ? CHUNKED_PREFIX + JSON.stringify(manifest) : rawValue);
+    } catch (error) {
+      this._discardChunks(key, manifest);
+      throw error;
+    }
+    
+    this._discardChunks(key, previous);
   }
   
-  pop(key, options = {}) {
-    const array = this.get(key, []);
-    if (!Array.isArray(array) || array.length === 0) return null;
+  async _writeValueAsync(
+    key, 
+    rawValue, 
+    write = value => this._getAsyncStorage().setItem(this._prefixKey(key), value)
+  ) {
+    const storage = this._getAsyncStorage();
+    const previous = this._readManifest(await storage.getItem(this._prefixKey(key)));
+    const manifest = this._shouldSpill(rawValue) ? this._createManifest(rawValue) : null;
     
-    const newArray = [...array];
-    const item = newArray.pop();
-    return this.set(key, newArray, options) ? item : null;
+    try {
+      if (manifest) {
+        const chunkKeys = this._chunkKeys(key, manifest);
+        for (let i = 0; i < chunkKeys.length; i++) {
+          await storage.setItem(
+            this._prefixKey(chunkKeys[i]), 
+            rawValue.slice(i * manifest.size, (i + 1) * manifest.size)
+          );
+        }
+      }
+      await write(manifest ? CHUNKED_PREFIX + JSON.stringify(manifest) : rawValue);
+    } catch (error) {
+      await this._removeChunksAsync(key, manifest);
+      throw error;
+    }
+    
+    await this._removeChunksAsync(key, previous);
   }
   
-  shift(key, options = {}) {
-    const array = this.get(key, []);
-    if (!Array.isArray(array) || array.length === 0) return null;
+  async _sha256(bytes) {
+    const cryptoApi = this._getSubtleCrypto();
+    if (!cryptoApi) throw new Error('WebCrypto is not available for SHA-256');
     
-    const newArray = [...array];
-    const item = newArray.shift();
-    return this.set(key, newArray, options) ? item : null;
+    const digest = new Uint8Array(await cryptoApi.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
   }
   
-  unshift(key, ...items) {
-    const array = this.get(key, []);
-    if (!Array.isArray(array)) return false;
-    
-    const newArray = [...items, ...array];
-    return this.set(key, newArray);
+  _binaryKind(data) {
+    if (typeof Blob === 'function' && data instanceof Blob) return 'blob';
+    return data instanceof ArrayBuffer ? 'arraybuffer' : 'uint8array';
   }
   
   // =====================
-  // 3. Управление TTL
+  // Снимки
   // =====================
   
-  setTTL(key, ttl, options = {}) {
-    const value = this.get(key, undefined, { skipExpiration: true });
-    if (value === undefined) return false;
-    return this.set(key, value, { ...options, ttl });
+  _snapshotKey(name) {
+    return this._prefixKey(SNAPSHOT_KEY_PREFIX + name);
   }
   
-  getRemainingTTL(key) {
-    if (!this.storageAvailable) return 0;
-    
-    const fullKey = this._prefixKey(key);
-    const rawValue = this._getStorage().getItem(fullKey);
-    
-    if (!rawValue) return 0;
+  _readSnapshot(name) {
+    if (!this.storageAvailable) return null;
     
     try {
-      let value = rawValue;
-      if (rawValue.startsWith('ENC:')) {
-        value = this._decrypt(rawValue.substring(4));
-      }
-      
-      const storageItem = this.deserializer(value);
-      if (!storageItem.meta?.expires) return Infinity;
-      
-      const remaining = storageItem.meta.expires - Date.now();
-      return Math.max(0, remaining);
+      const rawValue = this._getStorage().getItem(this._snapshotKey(name));
+      return rawValue === null ? null : JSON.parse(rawValue);
     } catch {
-      return 0;
+      return null;
     }
   }
   
-  getExpirationDate(key) {
-    const remaining = this.getRemainingTTL(key);
-    return remaining > 0 ? new Date(Date.now() + remaining) : null;
+  // Полные ключи служебных записей с префиксом (снимки, индексы)
+  async _listKeysAsync(reservedPrefix) {
+    const storage = this._getAsyncStorage();
+    const prefix = this._prefixKey(reservedPrefix);
+    const length = await storage.length;
+    const fullKeys = [];
+    
+    for (let i = 0; i < length; i++) {
+      const fullKey = await storage.key(i);
+      if (fullKey && fullKey.startsWith(prefix)) fullKeys.push(fullKey);
+    }
+    return fullKeys;
   }
   
-  cleanupExpired() {
-    if (!this.storageAvailable) return 0;
-    
-    let count = 0;
-    const keys = this.keys();
+  // Незашифрованные строки остаются как есть
+  async _recryptRaw(rawValue, oldKey, newKey) {
+    if (typeof rawValue !== 'string' || !this._isEncryptedValue(rawValue)) return rawValue;
+    return this._encryptAsync(await this._decryptAsync(rawValue, oldKey), newKey);
+  }
+  
+  // Сырые строки записей пространства имен вместе с их историей
+  _captureEntries() {
+    const storage = this._getStorage();
+    const entries = {};
     
-    keys.forEach(key => {
-      if (this.getRemainingTTL(key) === 0) {
-        this.remove(key, { silent: true });
-        count++;
+    this.keys().forEach(key => {
+      let value;
+      try {
+        value = this._resolveChunks(key, storage.getItem(this._prefixKey(key)));
+      } catch {
+        return; // Поврежденное значение в снимок не попадает
+      }
+      if (value === null) return;
+      
+      const history = storage.getItem(this._historyKey(key));
+      entries[key] = history === null ? { value } : { value, history };
+      
+      const chunks = this._decodeRaw(value)?.meta?.chunks;
+      if (chunks) {
+        entries[key].chunks = this._chunkKeys(key, chunks)
+          .map(chunkKey => storage.getItem(this._prefixKey(chunkKey)));
       }
     });
     
-    if (count > 0) {
-      this._triggerEvent('cleanup', count);
-    }
-    
-    return count;
+    return entries;
   }
   
-  // =====================
-  // 4. Групповые операции
-  // =====================
+  _describeSnapshot(snapshot) {
+    const entries = Object.values(snapshot.entries);
+    return {
+      name: snapshot.name,
+      created: snapshot.created,
+      keys: entries.length,
+      size: entries.reduce(
+        (total, entry) => total + new Blob([
+          entry.value, 
+          entry.history || '', 
+          ...(entry.chunks || [])
+        ]).size, 
+        0
+      )
+    };
+  }
   
-  setMany(items, options = {}) {
-    const results = {};
-    Object.entries(items).forEach(([key, value]) => {
-      results[key] = this.set(key, value, options);
-    });
-    return results;
+  _snapshotFilter(keys) {
+    if (!keys) return () => true;
+    if (Array.isArray(keys)) return key => keys.includes(key);
+    return key => this._matchKeyPattern(keys, key);
   }
   
-  getMany(keys, defaultValue = null) {
-    const results = {};
-    keys.forEach(key => {
-      results[key] = this.get(key, defaultValue);
-    });
-    return results;
+  // =====================
+  // История изменений
+  // =====================
+  //
+  // История ключа хранится в служебной записи с тем же сроком жизни и
+  // шифрованием, что и сама запись. undo/redo - стеки обратных патчей:
+  // патч превращает более новую версию в ту, что лежит в стеке.
+  
+  _historyKey(key) {
+    return this._prefixKey(HISTORY_KEY_PREFIX + key);
   }
   
-  removeMany(keys, options = {}) {
-    const results = {};
-    keys.forEach(key => {
-      results[key] = this.remove(key, options);
-    });
-    return results;
+  // Как индексы, история ведется только для синхронных хранилищ и шифров
+  _supportsHistory(encrypted) {
+    return !this.backend?.async && !(encrypted && this._isAsyncCrypto());
   }
   
-  transaction(operations) {
+  _readHistory(key) {
+    if (!this.storageAvailable || this.backend?.async) return null;
+    
+    const rawValue = this._getStorage().getItem(this._historyKey(key));
+    if (rawValue === null || this._isAsyncOnlyValue(rawValue)) return null;
+    
     try {
-      const results = {};
+      const encrypted = this._isEncryptedValue(rawValue);
+      const storageItem = this._parseStorageItem(
+        encrypted ? this._decrypt(rawValue) : rawValue, 
+        encrypted
+      );
       
-      if (operations.set) {
-        results.set = this.setMany(operations.set, { silent: true });
+      if (this._isExpired(storageItem)) {
+        this.clearHistory(key);
+        return null;
       }
-      
-      if (operations.remove) {
-        results.remove = this.removeMany(operations.remove, { silent: true });
+      return storageItem.data;
+    } catch {
+      return null;
+    }
+  }
+  
+  _writeHistory(key, record, meta) {
+    const storageItem = {
+      data: record,
+      meta: { 
+        created: Date.now(), 
+        expires: meta.expires || null, 
+        encryption: !!meta.encryption 
+      }
+    };
+    
+    // При нехватке места история укорачивается, а не мешает записи значения
+    for (;;) {
+      const serialized = this.serializer(storageItem);
+      try {
+        this._getStorage().setItem(
+          this._historyKey(key), 
+          meta.encryption ? this._encrypt(serialized) : serialized
+        );
+        return;
+      } catch (error) {
+        if (!this._isQuotaError(error) || record.undo.length === 0) throw error;
+        record.undo.splice(0, Math.ceil(record.undo.length / 2));
       }
-      
-      this._triggerEvent('transaction', operations, results);
-      return results;
-    } catch (error) {
-      this._handleError(error, 'transaction');
-      return false;
     }
   }
   
-  // =====================
-  // 5. Мониторинг и статистика
-  // =====================
+  _recordHistory(key, prepared, options) {
+    const meta = prepared.storageItem.meta;
+    if (options.history === false || !this._supportsHistory(meta.encryption)) return;
+    
+    const record = this._readHistory(key);
+    const limit = typeof options.history === 'number' ? options.history : record?.limit;
+    if (!limit) return;
+    
+    const now = Date.now();
+    const next = record || { limit, nextId: 1, currentId: null, currentTimestamp: null, undo: [], redo: [] };
+    next.limit = limit;
+    
+    if (prepared.oldValue !== undefined) {
+      next.undo.push({
+        id: next.currentId !== null ? next.currentId : next.nextId++,
+        timestamp: next.currentTimestamp || now,
+        patch: diffJson(prepared.storageItem.data, prepared.oldValue)
+      });
+      next.undo.splice(0, Math.max(0, next.undo.length - limit));
+    }
+    
+    next.redo = [];
+    next.currentId = next.nextId++;
+    next.currentTimestamp = now;
+    
+    try {
+      this._writeHistory(key, next, meta);
+    } catch (error) {
+      this._handleError(error, 'history', key);
+    }
+  }
   
-  getSize(key = null) {
-    if (!this.storageAvailable) return 0;
+  // Переход на соседнюю версию: патч из стека from применяется к текущему
+  // значению, а обратный патч кладется в стек to
+  _stepHistory(key, from, to) {
+    const record = this._readHistory(key);
+    const item = this._readItem(key);
+    if (!record || !item || record[from].length === 0) return false;
     
-    if (key) {
-      const value = this._getStorage().getItem(this._prefixKey(key));
-      return value ? new Blob([value]).size : 0;
+    const step = record[from].pop();
+    const value = applyJsonPatch(item.data, step.patch);
+    
+    record[to].push({ 
+      id: record.currentId, 
+      timestamp: record.currentTimestamp, 
+      patch: diffJson(value, item.data) 
+    });
+    record.currentId = step.id;
+    record.currentTimestamp = step.timestamp;
+    
+    if (!this.set(key, value, { ...this._historyWriteOptions(item.meta), history: false })) {
+      return false;
     }
     
-    return this.keys().reduce((total, k) => {
-      const value = this._getStorage().getItem(this._prefixKey(k));
-      return total + (value ? new Blob([value]).size : 0);
-    }, 0);
+    this._writeHistory(key, record, this._readItem(key).meta);
+    return true;
   }
   
-  getStats() {
+  // undo/redo/revert не меняют срок жизни и шифрование записи
+  _historyWriteOptions(meta = {}) {
     return {
-      keys: this.keys().length,
-      size: this.getSize(),
-      available: this._getAvailableSpace(),
-      quota: this._getStorageQuota(),
-      namespace: this.namespace,
-      storageType: this.storageType
+      ttl: meta.expires ? Math.max(0, meta.expires - Date.now()) / 1000 : null,
+      encrypt: !!meta.encryption
     };
   }
   
   // =====================
-  // 6. Резервное копирование
+  // Индексы
   // =====================
+  //
+  // Индекс хранится в служебном ключе как два словаря:
+  // values - значение индекса -> ключи, keys - ключ -> значения индекса.
+  // Обратный словарь позволяет обновлять индекс без чтения старого значения.
   
-  export(options = {}) {
-    const data = {};
-    this.keys().forEach(key => {
-      const value = this.get(key, undefined, { 
-        skipExpiration: options.includeExpired 
-      });
-      if (value !== undefined) {
-        data[key] = value;
-      }
-    });
-    return JSON.stringify(data);
+  _indexKey(name) {
+    return this._prefixKey(INDEX_KEY_PREFIX + name);
   }
   
-  import(backup, options = {}) {
+  // В зашифрованном пространстве имен индекс шифруется как значения:
+  // значения индекса повторяют данные записей
+  _readIndex(name) {
     try {
-      const data = JSON.parse(backup);
-      
-      if (!options.merge) {
-        this.clear({ silent: true });
-      }
-      
-      Object.entries(data).forEach(([key, value]) => {
-        if (options.overwrite || !this.has(key)) {
-          this.set(key, value, { silent: true });
-        }
-      });
-      
-      this._triggerEvent('import', Object.keys(data).length);
-      return true;
+      const rawValue = this._getStorage().getItem(this._indexKey(name));
+      if (!rawValue) return { values: {}, keys: {} };
+      return JSON.parse(this._isEncryptedValue(rawValue) ? this._decrypt(rawValue) : rawValue);
     } catch {
-      return false;
+      return { values: {}, keys: {} };
     }
   }
   
-  // =====================
-  // 7. Система событий
-  // =====================
-  
-  on(event, callback) {
-    if (!this.eventListeners[event]) {
-      this.eventListeners[event] = [];
-    }
-    this.eventListeners[event].push(callback);
-    return this;
+  _writeIndex(name, data) {
+    const serialized = JSON.stringify(data);
+    this._getStorage().setItem(
+      this._indexKey(name), 
+      this.encryptionKey ? this._encrypt(serialized) : serialized
+    );
   }
   
-  off(event, callback) {
-    if (!this.eventListeners[event]) return this;
+  // Значения индекса в виде строк JSON; массив дает несколько значений
+  // Значение, которое функция индекса не может обработать, в индекс не попадает
+  _extractIndexValues(name, key, value) {
+    if (value === undefined) return [];
     
-    if (callback) {
-      this.eventListeners[event] = this.eventListeners[event]
-        .filter(cb => cb !== callback);
-    } else {
-      delete this.eventListeners[event];
+    let extracted;
+    try {
+      extracted = this.indexes[name].extractor(value, key);
+    } catch (error) {
+      this._handleError(error, 'index', key);
+      return [];
     }
-    return this;
+    return (Array.isArray(extracted) ? extracted : [extracted])
+      .filter(item => item !== undefined && item !== null)
+      .map(item => JSON.stringify(item));
   }
   
-  watch(key, callback, interval = 500) {
-    if (!this.watchers[key]) {
-      this.watchers[key] = [];
-    }
-    
-    const watcher = {
-      callback,
-      interval,
-      lastValue: this.get(key),
-      timer: setInterval(() => {
-        const currentValue = this.get(key);
-        if (JSON.stringify(currentValue) !== JSON.stringify(watcher.lastValue)) {
-          callback(currentValue, watcher.lastValue);
-          watcher.lastValue = currentValue;
-        }
-      }, interval)
-    };
-    
-    this.watchers[key].push(watcher);
+  _addToIndex(data, key, indexValues) {
+    if (!indexValues.length) return;
     
-    return () => {
-      clearInterval(watcher.timer);
-      this.watchers[key] = this.watchers[key].filter(w => w !== watcher);
-    };
+    data.keys[key] = indexValues;
+    indexValues.forEach(indexValue => {
+      data.values[indexValue] = data.values[indexValue] || [];
+      if (!data.values[indexValue].includes(key)) {
+        data.values[indexValue].push(key);
+      }
+    });
   }
   
-  // =====================
-  // 8. Система плагинов
-  // =====================
-  
-  use(plugin) {
-    if (typeof plugin === 'function') {
-      plugin(this);
-    } else if (typeof plugin === 'object') {
-      this.plugins.push(plugin);
-      
-      if (plugin.events) {
-        Object.entries(plugin.events).forEach(([event, callback]) => {
-          this.on(event, callback);
-        });
+  _removeFromIndex(data, key) {
+    (data.keys[key] || []).forEach(indexValue => {
+      const keys = (data.values[indexValue] || []).filter(item => item !== key);
+      if (keys.length) {
+        data.values[indexValue] = keys;
+      } else {
+        delete data.values[indexValue];
       }
+    });
+    delete data.keys[key];
+  }
+  
+  // value === undefined означает удаление ключа
+  // { имя индекса: значения } для записи value
+  _collectIndexValues(key, value) {
+    if (this.backend?.async || this._isReservedKey(key)) return {};
+    
+    return Object.fromEntries(Object.keys(this.indexes)
+      .map(name => [name, this._extractIndexValues(name, key, value)]));
+  }
+  
+  _updateIndexes(key, value, indexValues = this._collectIndexValues(key, value)) {
+    // Индексы поддерживаются только для синхронных хранилищ
+    if (this.backend?.async || this._isReservedKey(key)) return;
+    
+    Object.keys(this.indexes).forEach(name => {
+      const data = this._readIndex(name);
+      this._removeFromIndex(data, key);
+      this._addToIndex(data, key, indexValues[name] || []);
+      this._writeIndex(name, data);
+    });
+  }
+  
+  _findUniqueConflict(key, indexValues) {
+    if (this.backend?.async) return null;
+    
+    for (const [name, index] of Object.entries(this.indexes)) {
+      if (!index.unique) continue;
       
-      if (typeof plugin.init === 'function') {
-        plugin.init(this);
+      const data = this._readIndex(name);
+      for (const indexValue of indexValues[name] || []) {
+        if ((data.values[indexValue] || []).some(item => item !== key)) {
+          return { name, value: JSON.parse(indexValue) };
+        }
       }
     }
-    return this;
+    
+    return null;
   }
   
   // =====================
-  // 9. Безопасность
+  // Миграции схемы
   // =====================
   
-  encryptWith(key) {
-    this.encryptionKey = key;
-    return this;
+  _parseSchemaVersion(rawValue) {
+    return rawValue === null || rawValue === undefined ? null : Number(rawValue);
   }
   
-  setCryptoEngine(engine) {
-    if (['simple', 'aes'].includes(engine)) {
-      this.cryptoEngine = engine;
+  // Данные без сохраненной версии считаются версией 1,
+  // пустое пространство имен сразу получает текущую версию
+  _resolveSchemaVersion(stored, hasData) {
+    const from = stored !== null ? stored : (hasData ? 1 : this.schemaVersion);
+    
+    if (from > this.schemaVersion) {
+      this.storageAvailable = false;
+      throw new SchemaVersionError(from, this.schemaVersion);
     }
-    return this;
+    
+    return from;
   }
   
-  // =====================
-  // 10. Пространства имен
-  // =====================
+  _pendingMigrations(from) {
+    return Object.keys(this.migrations)
+      .map(Number)
+      .filter(version => version > from && version <= this.schemaVersion)
+      .sort((a, b) => a - b);
+  }
   
-  namespace(ns, options = {}) {
-    return new STlocal(
-      `${this.namespace}${this.namespaceSeparator}${ns}`, 
-      {
-        ...options,
-        namespaceSeparator: this.namespaceSeparator,
-        defaultTTL: this.defaultTTL,
-        encryptionKey: this.encryptionKey,
-        storageType: this.storageType
-      }
-    );
+  _finishMigration(from) {
+    const result = { from, to: this.schemaVersion };
+    
+    if (from !== this.schemaVersion) {
+      // Миграция при создании экземпляра завершается до подписки на события,
+      // поэтому 'migrated' доставляется асинхронно
+      Promise.resolve().then(() => this._triggerEvent('migrated', result));
+    }
+    
+    return result;
   }
   
   // =====================
-  // 11. Управление хранилищем
+  // Резервная блокировка на ключах хранилища
   // =====================
   
-  setStorageType(type) {
-    if (['local', 'session'].includes(type)) {
-      this.storageType = type;
-      return true;
+  async _acquireLease(lockName, name, timeout, lease) {
+    const storage = this._getAsyncStorage();
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+    // Уникальный владелец на каждый вызов: блокировка нереентерабельна
+    const owner = `${this._instanceId}:${++this._lockCounter}`;
+    
+    while (Date.now() < deadline) {
+      const current = this._parseLease(await storage.getItem(lockName));
+      
+      // Свободная или просроченная (владелец завис или закрыт) блокировка
+      if (!current || current.expires < Date.now()) {
+        await storage.setItem(lockName, JSON.stringify({
+          owner,
+          expires: Date.now() + lease
+        }));
+        
+        // Хранилище не умеет compare-and-set: после паузы проверяем,
+        // что запись другой вкладки не перезаписала нашу
+        await new Promise(resolve => setTimeout(resolve, LOCK_SETTLE_DELAY));
+        const settled = this._parseLease(await storage.getItem(lockName));
+        if (settled && settled.owner === owner) return owner;
+      }
+      
+      await this._waitForLockChange(lockName, Math.min(LOCK_RETRY_DELAY, deadline - Date.now()));
     }
-    return false;
+    
+    throw new LockTimeoutError(name);
   }
   
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
+  async _renewLease(lockName, owner, lease) {
+    const storage = this._getAsyncStorage();
+    const current = this._parseLease(await storage.getItem(lockName));
     
-    if (this.storageAvailable && this.crossTabSync) {
-      window.removeEventListener('storage', this._handleStorageEvent);
+    if (current && current.owner === owner) {
+      await storage.setItem(lockName, JSON.stringify({
+        owner,
+        expires: Date.now() + lease
+      }));
     }
-    
-    Object.values(this.watchers).forEach(watchers => {
-      watchers.forEach(watcher => clearInterval(watcher.timer));
-    });
-    
-    this.eventListeners = {};
-    this.plugins = [];
-    this.watchers = {};
   }
   
-  // =====================
-  // Приватные методы
-  // =====================
-  
-  _init() {
-    this.storageAvailable = this._checkStorageSupport();
+  async _releaseLease(lockName, owner) {
+    const storage = this._getAsyncStorage();
+    const current = this._parseLease(await storage.getItem(lockName));
     
-    if (this.autoCleanup) {
-      this.cleanupExpired();
-      this.cleanupInterval = setInterval(
-        () => this.cleanupExpired(), 
-        60 * 1000
-      );
+    if (current && current.owner === owner) {
+      await storage.removeItem(lockName);
     }
-    
-    if (this.storageAvailable && this.crossTabSync) {
-      window.addEventListener('storage', this._handleStorageEvent.bind(this));
+  }
+  
+  _parseLease(rawValue) {
+    try {
+      return rawValue ? JSON.parse(rawValue) : null;
+    } catch {
+      return null;
     }
   }
   
-  _getStorage() {
-    return this.storageType === 'session' 
-      ? sessionStorage 
-      : localStorage;
+  // Ждет освобождения блокировки в другой вкладке или истечения задержки
+  _waitForLockChange(lockName, delay) {
+    return new Promise(resolve => {
+      const canListen = typeof window !== 'undefined' && !this.backend;
+      
+      const onStorage = event => {
+        if (event.key === lockName && event.newValue === null) done();
+      };
+      
+      const done = () => {
+        clearTimeout(timer);
+        if (canListen) window.removeEventListener('storage', onStorage);
+        resolve();
+      };
+      
+      const timer = setTimeout(done, Math.max(0, delay));
+      if (canListen) window.addEventListener('storage', onStorage);
+    });
   }
   
   _checkStorageSupport() {
+    if (this.backend) {
+      return STlocal.isStorageBackend(this.backend);
+    }
+    
     try {
       const testKey = '__stlocal_test__';
       const storage = this._getStorage();
@@ -621,132 +4859,255 @@ class STlocal {
     }
   }
   
+  // Точное совпадение ключа важнее шаблона
+  _findSchema(key) {
+    if (this.schemas[key]) return this.schemas[key];
+    
+    const pattern = Object.keys(this.schemas)
+      .find(candidate => /[*?]/.test(candidate) && this._matchKeyPattern(candidate, key));
+    return pattern ? this.schemas[pattern] : null;
+  }
+  
+  // Шаблон ключа: * - любая последовательность символов, ? - один символ
+  _matchKeyPattern(pattern, key) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`).test(key);
+  }
+  
+  // Служебные ключи библиотеки не видны через keys()
+  _isReservedKey(key) {
+    return key.startsWith('__stlocal_');
+  }
+  
   _prefixKey(key) {
     return this.namespace 
       ? `${this.namespace}${this.namespaceSeparator}${key}`
       : key;
   }
   
+  // Кодирует всю запись { data, meta }, поэтому типы сохраняются на любой глубине
   _defaultSerializer(value) {
-    if (value instanceof Date) return value.toISOString();
-    if (value instanceof Set) return JSON.stringify([...value]);
-    if (value instanceof Map) return JSON.stringify([...value]);
-    if (value instanceof RegExp) return value.toString();
-    return JSON.stringify(value);
+    return JSON.stringify(encodeTypes(value, this._typeList(), { circular: this.circularRefs }));
   }
   
   _defaultDeserializer(value) {
+    let parsed;
     try {
-      const parsed = JSON.parse(value);
-      
-      // Восстановление специальных типов
-      if (parsed && typeof parsed === 'object') {
-        if (parsed.__type === 'Date' && parsed.value) {
-          return new Date(parsed.value);
-        }
-        if (parsed.__type === 'Set' && Array.isArray(parsed.value)) {
-          return new Set(parsed.value);
-        }
-        if (parsed.__type === 'Map' && Array.isArray(parsed.value)) {
-          return new Map(parsed.value);
-        }
-        if (parsed.__type === 'RegExp' && parsed.value) {
-          return new RegExp(parsed.value.pattern, parsed.value.flags);
-        }
-      }
-      
-      return parsed;
+      parsed = JSON.parse(value);
     } catch {
       return value;
     }
+    
+    const context = { root: undefined, refs: [] };
+    const decoded = decodeTypes(parsed, this._typeMap(), context);
+    return resolveRefs(decoded, context.refs, context.root);
+  }
+  
+  // Пользовательские типы проверяются раньше встроенных, последние - первыми
+  _typeList() {
+    return [...[...this.types].reverse(), ...BUILTIN_TYPES];
+  }
+  
+  _typeMap() {
+    return new Map([...BUILTIN_TYPES, ...this.types]);
+  }
+  
+  _encrypt(data, passphrase = this.encryptionKey) {
+    if (!passphrase) return data;
+    
+    return this._writeEnvelope({
+      engine: 'xor',
+      ct: this._bytesToBase64(this._xorBytes(new TextEncoder().encode(data), passphrase))
+    });
+  }
+  
+  _xorBytes(bytes, passphrase) {
+    const keyBytes = new TextEncoder().encode(passphrase);
+    return bytes.map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
+  }
+  
+  _bytesToBase64(bytes) {
+    return bytesToBase64(bytes);
+  }
+  
+  _base64ToBytes(base64) {
+    return base64ToBytes(base64);
+  }
+  
+  // Ключ AES-GCM выводится из пароля через PBKDF2 с солью хранилища
+  async _deriveKey(passphrase, salt, iterations) {
+    const cacheKey = `${passphrase}|${salt}|${iterations}`;
+    
+    if (!this._derivedKeys.has(cacheKey)) {
+      const cryptoApi = this._getSubtleCrypto();
+      const encoder = new TextEncoder();
+      
+      const baseKey = await cryptoApi.subtle.importKey(
+        'raw',
+        encoder.encode(passphrase),
+        { name: 'PBKDF2' },
+        false,
+        ['deriveKey']
+      );
+      
+      const derived = cryptoApi.subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          salt: this._base64ToBytes(salt),
+          iterations,
+          hash: 'SHA-256'
+        },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      
+      this._derivedKeys.set(cacheKey, derived);
+    }
+    
+    return this._derivedKeys.get(cacheKey);
+  }
+  
+  // Соль создается один раз на пространство имен и хранится открыто
+  async _getSalt() {
+    const storage = this._getAsyncStorage();
+    const saltKey = this._prefixKey('__stlocal_salt__');
+    let salt = await storage.getItem(saltKey);
+    
+    if (!salt) {
+      salt = this._createSalt();
+      await storage.setItem(saltKey, salt);
+    }
+    
+    return salt;
+  }
+  
+  _createSalt() {
+    return this._bytesToBase64(this._getSubtleCrypto().getRandomValues(new Uint8Array(16)));
+  }
+  
+  // salt - своя соль (резервные копии), по умолчанию соль пространства имен
+  async _aesEncrypt(data, passphrase = this.encryptionKey, salt = null) {
+    const cryptoApi = this._getSubtleCrypto();
+    const kdf = {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: this.kdfIterations,
+      salt: salt || await this._getSalt()
+    };
+    const cryptoKey = await this._deriveKey(passphrase, kdf.salt, kdf.iterations);
+    
+    // Тег аутентификации GCM входит в конец шифротекста
+    const iv = cryptoApi.getRandomValues(new Uint8Array(12));
+    const encrypted = await cryptoApi.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      cryptoKey,
+      new TextEncoder().encode(data)
+    );
+    
+    return this._writeEnvelope({
+      engine: 'aes-gcm',
+      kdf,
+      iv: this._bytesToBase64(iv),
+      ct: this._bytesToBase64(new Uint8Array(encrypted))
+    });
   }
   
-  _encrypt(data) {
-    if (!this.encryptionKey) return data;
+  _decrypt(rawValue, passphrase = this.encryptionKey) {
+    const envelope = this._readEnvelope(rawValue);
     
     try {
-      if (this.cryptoEngine === 'aes' && window.crypto && window.crypto.subtle) {
-        return this._aesEncrypt(data);
+      if (envelope.v === 1) {
+        return this._legacyXorDecrypt(envelope.ct, passphrase);
       }
       
-      // Простое шифрование XOR
-      let result = '';
-      for (let i = 0; i < data.length; i++) {
-        const charCode = data.charCodeAt(i) ^ 
-          this.encryptionKey.charCodeAt(i % this.encryptionKey.length);
-        result += String.fromCharCode(charCode);
-      }
-      return btoa(result);
+      const bytes = this._xorBytes(this._base64ToBytes(envelope.ct), passphrase);
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
     } catch {
-      return data;
+      throw new DecryptionError();
+    }
+  }
+  
+  // XOR по кодам символов, как в версиях 2.1 и 3.0
+  _legacyXorDecrypt(data, passphrase) {
+    const decoded = atob(data);
+    let result = '';
+    for (let i = 0; i < decoded.length; i++) {
+      const charCode = decoded.charCodeAt(i) ^ 
+        passphrase.charCodeAt(i % passphrase.length);
+      result += String.fromCharCode(charCode);
     }
+    return result;
   }
   
-  async _aesEncrypt(data) {
+  async _aesDecrypt(envelope, passphrase = this.encryptionKey) {
+    const cryptoApi = this._getSubtleCrypto();
+    
     try {
-      const encoder = new TextEncoder();
-      const dataBuffer = encoder.encode(data);
-      const keyBuffer = encoder.encode(this.encryptionKey.padEnd(32, ' ').slice(0, 32));
-      
-      const cryptoKey = await window.crypto.subtle.importKey(
-        'raw',
-        keyBuffer,
-        { name: 'AES-CBC' },
-        false,
-        ['encrypt']
+      const cryptoKey = await this._deriveKey(
+        passphrase, 
+        envelope.kdf.salt, 
+        envelope.kdf.iterations
       );
       
-      const iv = window.crypto.getRandomValues(new Uint8Array(16));
-      const encrypted = await window.crypto.subtle.encrypt(
-        { name: 'AES-CBC', iv },
+      const decrypted = await cryptoApi.subtle.decrypt(
+        { name: 'AES-GCM', iv: this._base64ToBytes(envelope.iv) },
         cryptoKey,
-        dataBuffer
+        this._base64ToBytes(envelope.ct)
       );
       
-      const encryptedBuffer = new Uint8Array(encrypted);
-      const result = new Uint8Array(iv.length + encryptedBuffer.length);
-      result.set(iv);
-      result.set(encryptedBuffer, iv.length);
-      
-      return btoa(String.fromCharCode(...result));
+      return new TextDecoder().decode(decrypted);
     } catch {
-      return data;
+      throw new DecryptionError();
     }
   }
   
-  _decrypt(data) {
-    if (!this.encryptionKey) return data;
+  // По виду старого значения нельзя определить алгоритм, поэтому
+  // перебираем варианты, пока не получится запись с meta
+  async _decryptLegacy(data, passphrase) {
+    const candidates = [
+      // 2.1/3.0 записывали открытый текст с префиксом, если btoa() падал на Unicode
+      () => data,
+      () => this._legacyXorDecrypt(data, passphrase)
+    ];
+    
+    if (this._getSubtleCrypto()) {
+      candidates.push(() => this._legacyAesDecrypt(data, passphrase));
+    }
     
+    for (const decrypt of candidates) {
+      try {
+        const decrypted = await decrypt();
+        this._parseStorageItem(decrypted, true);
+        return decrypted;
+      } catch {}
+    }
+    
+    throw new DecryptionError();
+  }
+  
+  _isPlainValue(rawValue) {
     try {
-      if (this.cryptoEngine === 'aes' && window.crypto && window.crypto.subtle) {
-        return this._aesDecrypt(data);
-      }
-      
-      // Простое дешифрование XOR
-      const decoded = atob(data);
-      let result = '';
-      for (let i = 0; i < decoded.length; i++) {
-        const charCode = decoded.charCodeAt(i) ^ 
-          this.encryptionKey.charCodeAt(i % this.encryptionKey.length);
-        result += String.fromCharCode(charCode);
-      }
-      return result;
+      this._parseStorageItem(rawValue, true);
+      return true;
     } catch {
-      return data;
+      return false;
     }
   }
   
-  async _aesDecrypt(data) {
+  // AES-CBC 3.0: пароль, дополненный пробелами до 32 байт, IV в начале данных
+  async _legacyAesDecrypt(data, passphrase) {
+    const cryptoApi = this._getSubtleCrypto();
+    
     try {
-      const decoder = new TextDecoder();
-      const encryptedBuffer = Uint8Array.from(atob(data), c => c.charCodeAt(0));
-      const iv = encryptedBuffer.slice(0, 16);
-      const dataBuffer = encryptedBuffer.slice(16);
+      const encryptedBuffer = this._base64ToBytes(data);
+      const keyBuffer = new TextEncoder().encode(passphrase.padEnd(32, ' ').slice(0, 32));
       
-      const encoder = new TextEncoder();
-      const keyBuffer = encoder.encode(this.encryptionKey.padEnd(32, ' ').slice(0, 32));
-      
-      const cryptoKey = await window.crypto.subtle.importKey(
+      const cryptoKey = await cryptoApi.subtle.importKey(
         'raw',
         keyBuffer,
         { name: 'AES-CBC' },
@@ -754,15 +5115,15 @@ class STlocal {
         ['decrypt']
       );
       
-      const decrypted = await window.crypto.subtle.decrypt(
-        { name: 'AES-CBC', iv },
+      const decrypted = await cryptoApi.subtle.decrypt(
+        { name: 'AES-CBC', iv: encryptedBuffer.slice(0, 16) },
         cryptoKey,
-        dataBuffer
+        encryptedBuffer.slice(16)
       );
       
-      return decoder.decode(decrypted);
+      return new TextDecoder().decode(decrypted);
     } catch {
-      return data;
+      throw new DecryptionError();
     }
   }
   
@@ -793,23 +5154,55 @@ class STlocal {
   }
   
   _getStorageQuota() {
+    if (this.backend) {
+      return this.backend.quota || Infinity;
+    }
+    
     return this.storageType === 'session' 
       ? 5 * 1024 * 1024  // 5MB для sessionStorage
       : 10 * 1024 * 1024; // 10MB для localStorage
   }
   
   _triggerEvent(event, ...args) {
-    const listeners = this.eventListeners[event];
-    if (listeners) {
-      // Выполняем копию массива на случай изменений во время выполнения
-      [...listeners].forEach(cb => {
-        try {
-          cb(...args);
-        } catch (e) {
-          this._handleError(e, 'event', event);
+    this._takeListeners(event).forEach(listener => {
+      try {
+        const result = listener.callback(...args);
+        // Отказ асинхронного слушателя не должен стать необработанным
+        if (result && typeof result.then === 'function') {
+          result.then(null, e => this._reportListenerError(e, event));
         }
-      });
-    }
+      } catch (e) {
+        this._reportListenerError(e, event);
+      }
+    });
+  }
+  
+  // Слушатели события с учетом шаблонов, по убыванию priority.
+  // Одноразовые снимаются до вызова, чтобы повторный emit их не задел
+  _takeListeners(event) {
+    const matched = [];
+    
+    Object.keys(this.eventListeners).forEach(name => {
+      if (name !== event && !(/[*?]/.test(name) && this._matchKeyPattern(name, event))) return;
+      
+      const listeners = this.eventListeners[name];
+      matched.push(...listeners);
+      
+      if (listeners.some(listener => listener.once)) {
+        this.off(name);
+        const rest = listeners.filter(listener => !listener.once);
+        if (rest.length) this.eventListeners[name] = rest;
+      }
+    });
+    
+    return matched.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+  
+  _reportListenerError(error, event) {
+    // Ошибка в слушателе 'error' отбрасывается: повторный emit зациклил бы
+    // обработку, а библиотека не пишет в консоль
+    if (event === 'error') return;
+    this._handleError(error, 'event', event);
   }
   
   _handleStorageEvent(event) {
@@ -817,27 +5210,190 @@ class STlocal {
     
     const prefix = this._prefixKey('');
     const key = event.key.substring(prefix.length);
+    if (this._isReservedKey(key)) return;
+    
+    const oldValue = this._parseRawValue(event.oldValue);
     
     if (event.newValue === null) {
-      this._triggerEvent('remove', key, event.oldValue);
-      this._triggerEvent(`remove:${key}`, event.oldValue);
-      this._notifyWatchers(key, null, event.oldValue);
+      this._emitRemove(key, oldValue, 'remove', 'remote');
     } else if (event.newValue !== event.oldValue) {
       try {
-        const value = this.get(key);
-        this._triggerEvent('change', key, value, event.oldValue);
-        this._triggerEvent(`change:${key}`, value, event.oldValue);
-        this._notifyWatchers(key, value, event.oldValue);
+        this._emitChange(key, this.get(key), oldValue, 'set', 'remote');
       } catch {}
     }
   }
   
+  // Значение из сырой строки хранилища; AES и битые данные дают undefined
+  _parseRawValue(rawValue) {
+    const storageItem = this._decodeRaw(rawValue);
+    if (!storageItem) return undefined;
+    return storageItem.meta ? storageItem.data : storageItem;
+  }
+  
+  // { data, meta } из сырой строки или null, если синхронно не прочитать
+  _decodeRaw(rawValue) {
+    if (rawValue === null || rawValue === undefined || this._isAsyncOnlyValue(rawValue)) {
+      return null;
+    }
+    
+    try {
+      const encrypted = this._isEncryptedValue(rawValue);
+      return this._parseStorageItem(
+        encrypted ? this._decrypt(rawValue) : rawValue, 
+        encrypted
+      );
+    } catch {
+      return null;
+    }
+  }
+  
   _notifyWatchers(key, newValue, oldValue) {
-    if (this.watchers[key]) {
-      this.watchers[key].forEach(watcher => {
-        watcher.lastValue = newValue;
-        watcher.callback(newValue, oldValue);
-      });
+    Object.values(this.watchers).forEach(watchers => watchers.forEach(watcher => {
+      const path = this._matchWatcher(watcher, key);
+      if (path === null) return;
+      
+      const next = path ? getByPath(newValue, path) : newValue;
+      const previous = watcher.lastValues.has(key)
+        ? watcher.lastValues.get(key)
+        : (path ? getByPath(oldValue, path) : oldValue);
+      
+      // Изменение другой части значения не касается наблюдателя за путем
+      if (JSON.stringify(next) === JSON.stringify(previous)) return;
+      
+      watcher.lastValues.set(key, next);
+      this._scheduleWatcher(watcher, next, previous, { key, path, target: watcher.target });
+    }));
+  }
+  
+  // '' - наблюдение за всем значением, строка - путь внутри значения, null - не подходит
+  _matchWatcher(watcher, key) {
+    if (watcher.isPattern) {
+      return this._matchKeyPattern(watcher.target, key) ? '' : null;
+    }
+    if (watcher.target === key) return '';
+    // Разбиение из watch(): 'list[0]' -> { key: 'list', path: '[0]' }
+    if (watcher.key === key) return watcher.path;
+    
+    // Ключ мог появиться после watch(): 'a.b' для наблюдателя за 'a.b.c'
+    const end = key.length;
+    return watcher.target.startsWith(key) && /^[.[]/.test(watcher.target.slice(end))
+      ? this._cutKeyPath(watcher.target, end).path
+      : null;
+  }
+  
+  _scheduleWatcher(watcher, newValue, oldValue, info) {
+    // Серия изменений сворачивается в один вызов: старое значение - из начала серии
+    watcher.pending = {
+      newValue,
+      oldValue: watcher.pending ? watcher.pending.oldValue : oldValue,
+      info
+    };
+    
+    const run = () => {
+      const { newValue: next, oldValue: previous, info: details } = watcher.pending;
+      watcher.pending = null;
+      watcher.timer = null;
+      watcher.lastCall = Date.now();
+      
+      try {
+        watcher.callback(next, previous, details);
+      } catch (error) {
+        this._handleError(error, 'watch', details.key);
+      }
+    };
+    
+    if (watcher.debounce) {
+      clearTimeout(watcher.timer);
+      watcher.timer = setTimeout(run, watcher.debounce);
+    } else if (watcher.throttle) {
+      const wait = watcher.throttle - (Date.now() - watcher.lastCall);
+      if (wait <= 0) {
+        clearTimeout(watcher.timer);
+        run();
+      } else if (!watcher.timer) {
+        watcher.timer = setTimeout(run, wait);
+      }
+    } else {
+      run();
+    }
+  }
+  
+  // Удаление просроченной записи генерирует 'expire', а не 'remove'
+  _expire(key, oldValue) {
+    this.remove(key, { silent: true });
+    this._emitExpire(key, oldValue);
+  }
+  
+  // 'user.tags[0].name' -> { key: 'user', path: 'tags[0].name' }.
+  // Существующий ключ с точками в имени имеет приоритет над путем
+  _splitKeyPath(target) {
+    const storage = this.backend?.async || !this.storageAvailable ? null : this._getStorage();
+    target = String(target);
+    
+    const boundaries = this._pathBoundaries(target);
+    const exists = end => storage && storage.getItem(this._prefixKey(target.slice(0, end))) !== null;
+    return this._cutKeyPath(target, boundaries.find(exists) || boundaries[boundaries.length - 1]);
+  }
+  
+  async _splitKeyPathAsync(target) {
+    const storage = this._getAsyncStorage();
+    target = String(target);
+    
+    const boundaries = this._pathBoundaries(target);
+    for (const end of boundaries) {
+      const rawValue = await storage.getItem(this._prefixKey(target.slice(0, end)));
+      if (rawValue !== null && rawValue !== undefined) return this._cutKeyPath(target, end);
+    }
+    return this._cutKeyPath(target, boundaries[boundaries.length - 1]);
+  }
+  
+  // Концы возможных ключей, от самого длинного
+  _pathBoundaries(target) {
+    const boundaries = [];
+    for (let i = target.length; i > 0; i--) {
+      if (i === target.length || target[i] === '.' || target[i] === '[') boundaries.push(i);
+    }
+    return boundaries;
+  }
+  
+  _cutKeyPath(target, end) {
+    return { 
+      key: target.slice(0, end), 
+      path: target.slice(end).replace(/^\./, '') 
+    };
+  }
+  
+  _getOrUndefined(key) {
+    const value = this.get(key, MISSING);
+    return value === MISSING ? undefined : value;
+  }
+  
+  // Путь внутри значения для get/set/has/unset/remove или null для обычного ключа
+  _pathTarget(key) {
+    if (!this._mayBePath(key)) return null;
+    
+    const target = this._splitKeyPath(key);
+    return target.path ? target : null;
+  }
+  
+  async _pathTargetAsync(key) {
+    if (!this._mayBePath(key) || !this.storageAvailable) return null;
+    
+    const target = await this._splitKeyPathAsync(key);
+    return target.path ? target : null;
+  }
+  
+  _mayBePath(key) {
+    return this.deepPaths && typeof key === 'string' && /[.[]/.test(key);
+  }
+  
+  // Новое значение записи или MISSING, если путь проходит через примитив
+  _setPathValue(key, root, path, value) {
+    try {
+      return setByPath(root, path, value);
+    } catch (error) {
+      this._handleError(error, 'set', key);
+      return MISSING;
     }
   }
   
@@ -866,10 +5422,25 @@ class STlocal {
       timestamp: Date.now()
     };
     
+    if (error.errors) {
+      errorInfo.details = error.errors;
+    }
+    
     this._triggerEvent('error', errorInfo);
   }
 }
 
+STlocal.VERSION = LIBRARY_VERSION;
+STlocal.DecryptionError = DecryptionError;
+STlocal.LockTimeoutError = LockTimeoutError;
+STlocal.SchemaVersionError = SchemaVersionError;
+STlocal.ValidationError = ValidationError;
+STlocal.PatchError = PatchError;
+STlocal.IntegrityError = IntegrityError;
+STlocal.Query = STlocalQuery;
+STlocal.MemoryStorageBackend = MemoryStorageBackend;
+STlocal.FileStorageBackend = FileStorageBackend;
+
 // Экспорт для различных сред
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = STlocal;
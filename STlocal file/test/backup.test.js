@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { backend: new STlocal.MemoryStorageBackend() });
+
+test('sync export refuses to encrypt backups', () => {
+  const storage = createStorage();
+  storage.set('a', 1);
+  
+  assert.throws(() => storage.export({ passphrase: 'backup' }), /exportAsync/);
+});
+
+test('exportAsync encrypts backups with AES-GCM regardless of the crypto engine', async () => {
+  const storage = createStorage();
+  storage.set('a', { name: 'Ann' });
+  
+  const backup = await storage.exportAsync({ passphrase: 'backup' });
+  const { payload } = JSON.parse(backup);
+  assert.match(payload, /"engine":"aes-gcm"/);
+  
+  const target = createStorage();
+  await assert.rejects(target.importAsync(backup, { passphrase: 'wrong' }), STlocal.DecryptionError);
+  assert.throws(() => target.import(backup, { passphrase: 'backup' }), /Encrypted backups require importAsync\(\)/);
+  await target.importAsync(backup, { passphrase: 'backup' });
+  assert.deepStrictEqual(target.get('a'), { name: 'Ann' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { 
+  backend: new STlocal.MemoryStorageBackend(), 
+  encryptionKey: 'k1' 
+});
+
+test('rekey re-encrypts binary chunks', async () => {
+  const storage = createStorage();
+  
+  await storage.setBinary('bin', new Uint8Array([1, 2, 3]));
+  await storage.rekey('k1', 'k2');
+  
+  assert.deepStrictEqual(await storage.getBinary('bin', { as: 'uint8array' }), new Uint8Array([1, 2, 3]));
+});
+
+test('rekey re-encrypts history', async () => {
+  const storage = createStorage();
+  
+  storage.set('d', 1, { history: 5 });
+  storage.set('d', 2);
+  assert.strictEqual(storage.history('d').length, 2);
+  
+  await storage.rekey('k1', 'k2');
+  
+  assert.strictEqual(storage.history('d').length, 2);
+  assert.strictEqual(storage.undo('d'), true);
+  assert.strictEqual(storage.get('d'), 1);
+});
+
+test('size and sync iteration refuse aes entries instead of skipping them', async () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(), 
+    encryptionKey: 'k1',
+    cryptoEngine: 'aes'
+  });
+  
+  await storage.setAsync('a', 1);
+  
+  assert.throws(() => storage.size, /async-only/);
+  assert.throws(() => [...storage.entries()], /async-only/);
+  
+  const entries = [];
+  for await (const entry of storage.entries()) entries.push(entry);
+  assert.deepStrictEqual(entries, [['a', 1]]);
+});
+
+test('rekey re-encrypts snapshots', async () => {
+  const storage = createStorage();
+  
+  storage.set('a', { n: 1 }, { history: 5 });
+  storage.set('a', { n: 2 });
+  await storage.setBinary('bin', new Uint8Array([4, 5]));
+  storage.snapshot('s');
+  storage.set('a', { n: 3 });
+  
+  await storage.rekey('k1', 'k2');
+  
+  assert.strictEqual(storage.restore('s'), true);
+  assert.deepStrictEqual(storage.get('a'), { n: 2 });
+  assert.deepStrictEqual(await storage.getBinary('bin', { as: 'uint8array' }), new Uint8Array([4, 5]));
+  assert.strictEqual(storage.undo('a'), true);
+  assert.deepStrictEqual(storage.get('a'), { n: 1 });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { backend: new STlocal.MemoryStorageBackend() });
+
+test('a rejecting async listener is reported through the error event', async () => {
+  const storage = createStorage();
+  const errors = [];
+  
+  storage.on('change', async () => { throw new Error('listener failed'); });
+  storage.on('error', info => errors.push(info));
+  
+  assert.strictEqual(storage.set('a', 1), true);
+  await new Promise(resolve => setImmediate(resolve));
+  
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].error, 'listener failed');
+});
+
+test('quota overflow emits both quota-exceeded and quota', () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(), 
+    maxKeys: 1, 
+    evictionPolicy: 'lru' 
+  });
+  const seen = [];
+  
+  storage.on('quota-exceeded', ({ key, reason }) => seen.push(['quota-exceeded', key, reason]));
+  storage.on('quota', ({ key, reason }) => seen.push(['quota', key, reason]));
+  
+  storage.set('a', 1);
+  storage.set('b', 2);
+  assert.deepStrictEqual(seen, [['quota-exceeded', 'b', 'limit'], ['quota', 'b', 'limit']]);
+});
+
+test('a failing error listener is swallowed without console output', () => {
+  const storage = createStorage();
+  const logged = [];
+  const consoleError = console.error;
+  console.error = (...args) => logged.push(args);
+  
+  try {
+    storage.on('error', () => { throw new Error('listener failed'); });
+    storage._handleError(new Error('boom'), 'set', 'a');
+  } finally {
+    console.error = consoleError;
+  }
+  
+  assert.deepStrictEqual(logged, []);
+});
+
+test('change events and history handle circular values', () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(), 
+    circularRefs: true,
+    patchEvents: true
+  });
+  const paths = [];
+  storage.on('change', (key, value, event) => paths.push(event.paths));
+  
+  const first = { n: 1 };
+  first.self = first;
+  const second = { n: 2 };
+  second.self = second;
+  
+  assert.strictEqual(storage.set('x', first, { history: 3 }), true);
+  assert.strictEqual(storage.set('x', second), true);
+  
+  assert.deepStrictEqual(paths[1], ['n']);
+  assert.strictEqual(storage.history('x').length, 2);
+  assert.strictEqual(storage.get('x').n, 2);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { backend: new STlocal.MemoryStorageBackend() });
+
+test('findBy skips expired entries', async () => {
+  const storage = createStorage();
+  storage.createIndex('byEmail', user => user.email);
+  
+  storage.set('u1', { email: 'a' }, { ttl: 0.001 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  
+  assert.deepStrictEqual(storage.findBy('byEmail', 'a'), []);
+  assert.strictEqual(storage.findOneBy('byEmail', 'a'), null);
+});
+
+test('a throwing extractor leaves the value unindexed instead of failing set()', () => {
+  const storage = createStorage();
+  const errors = [];
+  storage.on('error', info => errors.push(info.operation));
+  storage.createIndex('byEmail', user => user.email);
+  
+  storage.set('u1', { email: 'a' });
+  assert.strictEqual(storage.set('u1', null), true);
+  
+  assert.strictEqual(storage.get('u1'), null);
+  assert.deepStrictEqual(storage.findKeysBy('byEmail', 'a'), []);
+  assert.deepStrictEqual(errors, ['index']);
+});
+
+test('setTTL does not create missing keys', () => {
+  const storage = createStorage();
+  storage.createIndex('byEmail', user => user.email);
+  
+  assert.strictEqual(storage.setTTL('missing', 10), false);
+  assert.deepStrictEqual(storage.keys(), []);
+});
+
+test('indexes of an encrypted namespace are not stored in clear text', async () => {
+  const backend = new STlocal.MemoryStorageBackend();
+  const storage = new STlocal('t', { backend, encryptionKey: 'secret' });
+  storage.createIndex('byEmail', user => user.email);
+  
+  storage.set('u1', { email: 'alice@example.com' });
+  
+  assert.doesNotMatch(backend.getItem('t:__stlocal_index__:byEmail'), /alice@example\.com/);
+  assert.deepStrictEqual(storage.findKeysBy('byEmail', 'alice@example.com'), ['u1']);
+  
+  await storage.rekey('secret', 'other');
+  assert.deepStrictEqual(storage.findKeysBy('byEmail', 'alice@example.com'), ['u1']);
+});
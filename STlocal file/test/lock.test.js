@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+test('withLock reports a failed lease renewal and stops renewing', async () => {
+  const backend = new STlocal.MemoryStorageBackend();
+  const storage = new STlocal('test', { backend });
+  const errors = [];
+  storage.on('error', info => errors.push(info));
+  
+  const result = await storage.withLock('job', async () => {
+    const setItem = backend.setItem;
+    backend.setItem = () => { throw new Error('storage is gone'); };
+    await new Promise(resolve => setTimeout(resolve, 120));
+    backend.setItem = setItem;
+    return 'done';
+  }, { lease: 40 });
+  
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].operation, 'lock');
+  assert.strictEqual(errors[0].key, 'job');
+});
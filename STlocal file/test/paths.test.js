@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = (options = {}) => 
+  new STlocal('test', { backend: new STlocal.MemoryStorageBackend(), ...options });
+
+const asyncBackend = () => {
+  const memory = new STlocal.MemoryStorageBackend();
+  return {
+    async: true,
+    get length() { return memory.length; },
+    key: index => memory.key(index),
+    getItem: async key => memory.getItem(key),
+    setItem: async (key, value) => memory.setItem(key, value),
+    removeItem: async key => memory.removeItem(key)
+  };
+};
+
+test('dotted keys are plain keys unless deepPaths is enabled', () => {
+  const storage = createStorage();
+  
+  storage.set('page.1', 'a');
+  storage.set('page.2', 'b');
+  assert.deepStrictEqual(storage.keys().sort(), ['page.1', 'page.2']);
+  assert.strictEqual(storage.remove('page.1'), true);
+  assert.deepStrictEqual(storage.keys(), ['page.2']);
+});
+
+test('deepPaths: remove() removes the field and primitives are not replaced', () => {
+  const storage = createStorage({ deepPaths: true });
+  
+  storage.set('user.name', 'Ann');
+  storage.set('user.age', 30);
+  assert.strictEqual(storage.remove('user.age'), true);
+  assert.deepStrictEqual(storage.get('user'), { name: 'Ann' });
+  
+  storage.set('flag', 1);
+  assert.strictEqual(storage.set('flag.on', true), false);
+  assert.strictEqual(storage.get('flag'), 1);
+});
+
+test('deepPaths: async API follows the same paths', async () => {
+  const storage = new STlocal('test', { backend: asyncBackend(), deepPaths: true });
+  
+  await storage.setAsync('user.name', 'Ann');
+  await storage.setAsync('cfg.theme', 'dark');
+  assert.strictEqual(await storage.getAsync('user.name'), 'Ann');
+  assert.deepStrictEqual((await storage.keysAsync()).sort(), ['cfg', 'user']);
+  
+  await storage.removeAsync('cfg.theme');
+  assert.deepStrictEqual(await storage.getAsync('cfg'), {});
+});
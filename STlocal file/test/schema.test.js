@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+test('stripUnknown keeps fields of schemas without properties', () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(),
+    schemas: { user: { type: 'object', required: ['name'] } },
+    stripUnknown: true
+  });
+  
+  assert.strictEqual(storage.set('user', { name: 'Ann', age: 30 }), true);
+  assert.deepStrictEqual(storage.get('user'), { name: 'Ann', age: 30 });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+test('getSize counts history and binary chunks without decoding entries', async () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(),
+    encryptionKey: 'k1',
+    maxSize: 1024 * 1024
+  });
+  
+  await storage.setBinary('bin', new Uint8Array(64));
+  storage.set('doc', 'a'.repeat(100), { history: 5 });
+  storage.set('doc', 'b'.repeat(100));
+  
+  let reads = 0;
+  const readItem = storage._readItem;
+  storage._readItem = function (...args) {
+    reads++;
+    return readItem.apply(this, args);
+  };
+  
+  const binSize = storage.getSize('bin');
+  const docSize = storage.getSize('doc');
+  assert.strictEqual(reads, 0);
+  
+  assert.ok(binSize > 64);
+  assert.ok(docSize > 200);
+  assert.strictEqual(storage.getSize(), binSize + docSize);
+  
+  storage._readItem = readItem;
+});
+
+test('binary chunks count against maxSize before they are written', async () => {
+  const storage = new STlocal('test', { 
+    backend: new STlocal.MemoryStorageBackend(),
+    maxSize: 2000
+  });
+  const errors = [];
+  storage.on('error', info => errors.push(info.operation));
+  
+  assert.strictEqual(await storage.setBinary('a', new Uint8Array(5000)), false);
+  assert.strictEqual(await storage.setBinary('b', new Uint8Array(5000)), false);
+  assert.deepStrictEqual(errors, ['setBinary', 'setBinary']);
+  
+  assert.ok(storage.getSize() <= 2000);
+  assert.strictEqual(storage.set('small', 'ok'), true);
+});
+
+test('async sizes include history and chunks like sync sizes', async () => {
+  const memory = new STlocal.MemoryStorageBackend();
+  const asyncStorage = new STlocal('test', { 
+    backend: {
+      async: true,
+      get length() { return memory.length; },
+      key: index => memory.key(index),
+      getItem: async key => memory.getItem(key),
+      setItem: async (key, value) => memory.setItem(key, value),
+      removeItem: async key => memory.removeItem(key)
+    }
+  });
+  const syncStorage = new STlocal('test', { backend: memory });
+  
+  await asyncStorage.setBinary('bin', new Uint8Array(300));
+  await asyncStorage.setAsync('doc', 'a', { history: 3 });
+  await asyncStorage.setAsync('doc', 'b');
+  
+  const sizeOf = await asyncStorage._getSizesAsync();
+  assert.strictEqual(sizeOf('bin'), syncStorage.getSize('bin'));
+  assert.strictEqual(sizeOf('doc'), syncStorage.getSize('doc'));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { backend: new STlocal.MemoryStorageBackend() });
+
+const asyncBackend = () => {
+  const memory = new STlocal.MemoryStorageBackend();
+  return {
+    async: true,
+    get length() { return memory.length; },
+    key: index => memory.key(index),
+    getItem: async key => memory.getItem(key),
+    setItem: async (key, value) => memory.setItem(key, value),
+    removeItem: async key => memory.removeItem(key)
+  };
+};
+
+test('transaction creates missing keys for increment, push and patch', () => {
+  const storage = createStorage();
+  
+  assert.notStrictEqual(storage.transaction(tx => tx.increment('counter')), false);
+  assert.notStrictEqual(storage.transaction({ increment: { c2: 1 } }), false);
+  assert.notStrictEqual(storage.transaction({ push: { list: 'a' }, patch: { cfg: { on: true } } }), false);
+  
+  assert.strictEqual(storage.get('counter'), 1);
+  assert.strictEqual(storage.get('c2'), 1);
+  assert.deepStrictEqual(storage.get('list'), ['a']);
+  assert.deepStrictEqual(storage.get('cfg'), { on: true });
+});
+
+test('transactionAsync creates missing keys', async () => {
+  const storage = createStorage();
+  
+  assert.notStrictEqual(await storage.transactionAsync({ increment: { counter: 2 } }), false);
+  assert.strictEqual(storage.get('counter'), 2);
+});
+
+test('transactionAsync works on async backends and rolls back', async () => {
+  const storage = new STlocal('test', { backend: asyncBackend() });
+  
+  await storage.setAsync('n', 1);
+  assert.notStrictEqual(await storage.transactionAsync(tx => tx.increment('n', 2)), false);
+  assert.strictEqual(await storage.getAsync('n'), 3);
+  
+  const failed = await storage.transactionAsync(tx => {
+    tx.increment('n', 1);
+    tx.push('n', 'x');
+  });
+  assert.strictEqual(failed, false);
+  assert.strictEqual(await storage.getAsync('n'), 3);
+});
+
+test('rollback removes chunk sets written inside the transaction', () => {
+  const backend = new STlocal.MemoryStorageBackend();
+  const storage = new STlocal('test', { backend, chunkThreshold: 50 });
+  
+  storage.set('big', 'x'.repeat(120));
+  const keysBefore = backend.length;
+  const sizeBefore = storage.getSize('big');
+  
+  const result = storage.transaction(tx => {
+    tx.set('big', 'y'.repeat(300));
+    tx.increment('big');
+  });
+  
+  assert.strictEqual(result, false);
+  assert.strictEqual(storage.get('big'), 'x'.repeat(120));
+  assert.strictEqual(backend.length, keysBefore);
+  assert.strictEqual(storage.getSize('big'), sizeBefore);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const STlocal = require('../STlocal@3.0.0.js');
+
+const createStorage = () => new STlocal('test', { backend: new STlocal.MemoryStorageBackend() });
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('watchers on bracket paths fire when the key changes', async () => {
+  const storage = createStorage();
+  storage.set('list', ['a', 'b']);
+  
+  const calls = [];
+  storage.watch('list[0]', (value, previous) => calls.push([value, previous]));
+  storage.watch('list.1', (value, previous) => calls.push([value, previous]));
+  
+  storage.set('list', ['c', 'b']);
+  await tick();
+  
+  assert.deepStrictEqual(calls, [['c', 'a']]);
+});